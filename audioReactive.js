@@ -0,0 +1,117 @@
+// --- Audio Reactive Input ---
+// Analyses a microphone or an audio file with an AnalyserNode and reports bass, mid and
+// treble energy (0-1). Mappings turn a band's energy into a multiplier for some parameter:
+//
+//   { band: 'bass', amount: 1.5 }  ->  factor = 1 + amount * energy * gain
+//
+// The AudioContext is borrowed from the caller (getContext), since browsers only allow
+// one to start after a user gesture and the pop sounds already own one.
+
+export const AUDIO_BANDS = {
+    bass: [20, 250],
+    mid: [250, 2000],
+    treble: [2000, 12000]
+};
+
+export const AUDIO_BAND_NAMES = ['none', ...Object.keys(AUDIO_BANDS)];
+
+export function createAudioReactive({ getContext, fftSize = 2048, smoothing = 0.8 }) {
+    let analyser = null;
+    let bins = null;
+    let sourceNode = null;
+    let stream = null;
+    let element = null;
+
+    const reactive = {
+        // 'microphone', 'file' or null
+        source: null,
+        label: '',
+        gain: 1,
+        levels: { bass: 0, mid: 0, treble: 0 },
+
+        // The file being played, for mixing into recordings; null for the microphone
+        get playbackNode() {
+            return reactive.source === 'file' ? sourceNode : null;
+        },
+
+        async startMicrophone() {
+            const context = prepare();
+            stream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+            });
+            sourceNode = context.createMediaStreamSource(stream);
+            // Analysed only; not sent to the speakers, or it would feed back
+            sourceNode.connect(analyser);
+            reactive.source = 'microphone';
+            reactive.label = stream.getAudioTracks()[0]?.label || 'Microphone';
+        },
+
+        // file is a File/Blob or a URL; it loops and plays through the speakers
+        async startFile(file) {
+            const context = prepare();
+            element = new Audio();
+            element.loop = true;
+            element.src = typeof file === 'string' ? file : URL.createObjectURL(file);
+            sourceNode = context.createMediaElementSource(element);
+            sourceNode.connect(analyser);
+            sourceNode.connect(context.destination);
+            await element.play();
+            reactive.source = 'file';
+            reactive.label = typeof file === 'string' ? file : file.name;
+        },
+
+        stop() {
+            if (sourceNode) sourceNode.disconnect();
+            if (stream) stream.getTracks().forEach(track => track.stop());
+            if (element) {
+                element.pause();
+                if (element.src.startsWith('blob:')) URL.revokeObjectURL(element.src);
+            }
+            sourceNode = null;
+            stream = null;
+            element = null;
+            reactive.source = null;
+            reactive.label = '';
+            reactive.levels.bass = reactive.levels.mid = reactive.levels.treble = 0;
+        },
+
+        // Reads the spectrum; call once per frame
+        update() {
+            if (!analyser || !reactive.source) return reactive.levels;
+            analyser.getByteFrequencyData(bins);
+            const binWidth = analyser.context.sampleRate / analyser.fftSize;
+            Object.keys(AUDIO_BANDS).forEach(band => {
+                const [low, high] = AUDIO_BANDS[band];
+                const first = Math.max(1, Math.floor(low / binWidth));
+                const last = Math.min(bins.length - 1, Math.ceil(high / binWidth));
+                let sum = 0;
+                for (let i = first; i <= last; i++) sum += bins[i];
+                reactive.levels[band] = last >= first ? sum / ((last - first + 1) * 255) : 0;
+            });
+            return reactive.levels;
+        },
+
+        // Multiplier for a { band, amount } mapping; 1 when idle or unmapped
+        factor(mapping) {
+            if (!reactive.source || !mapping || !AUDIO_BANDS[mapping.band]) return 1;
+            const energy = Math.min(reactive.levels[mapping.band] * reactive.gain, 1);
+            return Math.max(0, 1 + mapping.amount * energy);
+        }
+    };
+
+    // Stops the current input and makes sure the analyser exists
+    function prepare() {
+        reactive.stop();
+        const context = getContext();
+        if (!context) throw new Error('Web Audio is not available');
+        if (!analyser || analyser.context !== context) {
+            analyser = context.createAnalyser();
+            analyser.fftSize = fftSize;
+            analyser.smoothingTimeConstant = smoothing;
+            bins = new Uint8Array(analyser.frequencyBinCount);
+        }
+        return context;
+    }
+
+    return reactive;
+}
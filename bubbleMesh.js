@@ -0,0 +1,164 @@
+import * as THREE from 'three';
+
+// --- Instanced Bubble Mesh ---
+// All bubbles share one InstancedMesh: position and scale live in the instance matrices,
+// colour in instanceColor, and each bubble's fade is an `instanceOpacity` attribute
+// multiplied into the material alpha.
+//
+// Optional depth occlusion (updateBubbleOcclusion): each fragment finds the point on z = 0
+// under its pixel, maps it back into the depth map through the camera mapping, and fades
+// out if the person there stands in front of it.
+
+const BASE_OPACITY = 0.5;
+
+export function createBubbleMesh(count, { segments = 24 } = {}) {
+    const geometry = new THREE.SphereGeometry(1, segments, segments);
+    const opacities = new Float32Array(count).fill(1);
+    const opacityAttribute = new THREE.InstancedBufferAttribute(opacities, 1);
+    opacityAttribute.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute('instanceOpacity', opacityAttribute);
+
+    // White base so instance colours come through unchanged
+    const material = new THREE.MeshPhysicalMaterial({
+        color: 0xffffff,
+        transparent: true,
+        opacity: BASE_OPACITY,
+        roughness: 0.05,
+        metalness: 0.1,
+        clearcoat: 1.0,
+        clearcoatRoughness: 0.05,
+        transmission: 0.9,
+        ior: 1.33,
+        thickness: 1.0,
+        // Instances can't be depth-sorted against each other, so let overlapping bubbles blend
+        depthWrite: false
+    });
+
+    const occlusion = {
+        uOcclusion: { value: false },
+        uDepthMap: { value: null },
+        uWorldToSource: { value: new THREE.Matrix3() },
+        uWorldSize: { value: new THREE.Vector2(1, 1) },
+        uResolution: { value: new THREE.Vector2(1, 1) },
+        uDepthNear: { value: 8 },
+        uDepthFar: { value: -8 },
+        uOcclusionSoftness: { value: 1 }
+    };
+
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, occlusion);
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', '#include <common>\nattribute float instanceOpacity;\nvarying float vInstanceOpacity;\nvarying float vOcclusionZ;')
+            .replace('#include <begin_vertex>', '#include <begin_vertex>\nvInstanceOpacity = instanceOpacity;')
+            .replace('#include <project_vertex>', '#include <project_vertex>\nvOcclusionZ = (modelMatrix * instanceMatrix * vec4(transformed, 1.0)).z;');
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>\nvarying float vInstanceOpacity;\n${occlusionFragment}`)
+            .replace('#include <opaque_fragment>', 'diffuseColor.a *= vInstanceOpacity * occlusionAlpha();\n#include <opaque_fragment>');
+    };
+
+    const mesh = new THREE.InstancedMesh(geometry, material, count);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    // Bubbles fill the whole view, so per-mesh culling would only cost a bounds update
+    mesh.frustumCulled = false;
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(count * 3).fill(1), 3);
+    mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+    mesh.userData.capacity = count;  // instances the buffers hold
+    mesh.userData.occlusion = occlusion;
+    mesh.userData.depthTexture = null;
+    mesh.userData.depth = null;
+    return mesh;
+}
+
+// Depth in red: 0 = near, 1 = far (see depthMap.js); uDepthNear/Far are the world z for those
+const occlusionFragment = `
+uniform bool uOcclusion;
+uniform sampler2D uDepthMap;
+uniform mat3 uWorldToSource;
+uniform vec2 uWorldSize;
+uniform vec2 uResolution;
+uniform float uDepthNear;
+uniform float uDepthFar;
+uniform float uOcclusionSoftness;
+varying float vOcclusionZ;
+
+float occlusionAlpha() {
+    if (!uOcclusion) return 1.0;
+    vec2 world = (gl_FragCoord.xy / uResolution - 0.5) * uWorldSize;
+    vec2 source = (uWorldToSource * vec3(world, 1.0)).xy;
+    if (any(lessThan(source, vec2(0.0))) || any(greaterThan(source, vec2(1.0)))) return 1.0;
+    float occluderZ = mix(uDepthNear, uDepthFar, texture2D(uDepthMap, source).r);
+    return smoothstep(-uOcclusionSoftness, uOcclusionSoftness, vOcclusionZ - occluderZ);
+}
+`;
+
+// options: { enabled, depth (ImageData-like, see depthMap.js), mapping, resolution (drawing
+// buffer size, a Vector2), near, far, softness }. Occlusion stays off without a depth map.
+export function updateBubbleOcclusion(mesh, options) {
+    const uniforms = mesh.userData.occlusion;
+    const { depth } = options;
+    uniforms.uOcclusion.value = Boolean(options.enabled && depth && depth.data);
+    if (!uniforms.uOcclusion.value) return;
+
+    if (depth !== mesh.userData.depth) {
+        const data = new Uint8Array(depth.data.buffer, depth.data.byteOffset, depth.data.length);
+        let texture = mesh.userData.depthTexture;
+        if (!texture || texture.image.width !== depth.width || texture.image.height !== depth.height) {
+            if (texture) texture.dispose();
+            texture = new THREE.DataTexture(data, depth.width, depth.height);
+            texture.minFilter = THREE.LinearFilter;
+            texture.magFilter = THREE.LinearFilter;
+            mesh.userData.depthTexture = texture;
+            uniforms.uDepthMap.value = texture;
+        } else {
+            texture.image.data = data;
+        }
+        texture.needsUpdate = true;
+        mesh.userData.depth = depth;
+    }
+
+    const { mapping } = options;
+    uniforms.uWorldToSource.value.set(...mapping.inverse);
+    uniforms.uWorldSize.value.set(mapping.worldWidth, mapping.worldHeight);
+    uniforms.uResolution.value.copy(options.resolution);
+    uniforms.uDepthNear.value = options.near;
+    uniforms.uDepthFar.value = options.far;
+    uniforms.uOcclusionSoftness.value = Math.max(options.softness, 1e-3);
+}
+
+const matrix = new THREE.Matrix4();
+
+// Copies bubble state ({ position, scale, opacity, owner }) into the instance buffers.
+// colorForOwner(owner) returns the THREE.Color for a person slot (-1 = nobody).
+// Bubbles past the mesh's capacity aren't drawn.
+export function updateBubbleMesh(mesh, bubbles, colorForOwner) {
+    const opacities = mesh.geometry.attributes.instanceOpacity;
+    const count = Math.min(bubbles.length, mesh.userData.capacity);
+    for (let i = 0; i < count; i++) {
+        const bubble = bubbles[i];
+        matrix.makeScale(bubble.scale, bubble.scale, bubble.scale);
+        matrix.setPosition(bubble.position.x, bubble.position.y, bubble.position.z);
+        mesh.setMatrixAt(i, matrix);
+        mesh.setColorAt(i, colorForOwner(bubble.owner));
+        opacities.array[i] = bubble.opacity;
+    }
+    mesh.count = count;
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.instanceColor.needsUpdate = true;
+    opacities.needsUpdate = true;
+}
+
+// Swaps in a sphere of a different detail, keeping the instances and their opacities
+export function setBubbleSegments(mesh, segments) {
+    if (mesh.geometry.parameters.widthSegments === segments) return;
+    const geometry = new THREE.SphereGeometry(1, segments, segments);
+    geometry.setAttribute('instanceOpacity', mesh.geometry.attributes.instanceOpacity);
+    mesh.geometry.dispose();
+    mesh.geometry = geometry;
+}
+
+export function disposeBubbleMesh(mesh) {
+    if (mesh.userData.depthTexture) mesh.userData.depthTexture.dispose();
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+    mesh.dispose();
+}
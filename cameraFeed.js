@@ -0,0 +1,196 @@
+import * as THREE from 'three';
+import { PERSON_EDGE } from './personMask.js';
+
+// --- Camera Feed Compositing ---
+// Draws the camera image, cut out by the segmentation mask, on planes that span the
+// visible area at z = 0. Each pixel looks up its source point through the inverse of the
+// camera-to-world mapping (mapping.js), so the image lines up with the simulation.
+// The back plane renders before the bubbles and the front plane after, so a mode picks
+// what ends up behind and in front of them:
+//
+//   cutout   person over the background, bubbles in front
+//   soda     the same, tinted as if under the drink
+//   occlude  person in front, hiding the bubbles behind them
+//   window   background drawn in front everywhere except the person, so bubbles only
+//            show through the silhouette
+//
+// A third plane on top draws the whole camera frame, outlined, for calibration.
+
+export const COMPOSITE_MODES = ['off', 'cutout', 'soda', 'occlude', 'window'];
+
+// Which layer each plane draws per mode: 'person', 'tinted', 'background' or null
+const MODE_LAYERS = {
+    off: { back: null, front: null },
+    cutout: { back: 'person', front: null },
+    soda: { back: 'tinted', front: null },
+    occlude: { back: null, front: 'person' },
+    window: { back: 'tinted', front: 'background' }
+};
+
+// uLayer values in the shader
+const LAYER_IDS = { person: 0, tinted: 0, background: 1, calibration: 2 };
+
+const vertexShader = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const fragmentShader = `
+    uniform sampler2D uVideo;
+    uniform sampler2D uMask;
+    uniform mat3 uWorldToSource;
+    uniform vec2 uWorldSize;
+    uniform bool uHasVideo;
+    uniform bool uHasMask;
+    uniform bool uInvertMask;
+    uniform int uLayer;  // 0 person, 1 background outside the person, 2 calibration
+    uniform vec3 uTint;
+    uniform float uTintAmount;
+    uniform float uOpacity;
+    uniform vec3 uBackground;
+    varying vec2 vUv;
+
+    void main() {
+        // Normalised source point, v down; the mask's first row is the top of the image
+        vec2 source = (uWorldToSource * vec3((vUv - 0.5) * uWorldSize, 1.0)).xy;
+        bool inside = all(greaterThanEqual(source, vec2(0.0))) && all(lessThanEqual(source, vec2(1.0)));
+        // Video textures are flipped on upload, so their rows run bottom to top
+        vec2 videoUv = vec2(source.x, 1.0 - source.y);
+
+        float person = inside ? 1.0 : 0.0;
+        if (uHasMask && inside) {
+            float alpha = texture2D(uMask, source).a;
+            if (uInvertMask) alpha = 1.0 - alpha;
+            person = smoothstep(${(PERSON_EDGE - 0.15).toFixed(3)}, ${(PERSON_EDGE + 0.15).toFixed(3)}, alpha);
+        }
+
+        if (uLayer == 2) {
+            if (!inside) discard;
+            float edge = min(min(source.x, 1.0 - source.x), min(source.y, 1.0 - source.y));
+            vec3 color = uHasVideo ? texture2D(uVideo, videoUv).rgb : vec3(0.2);
+            gl_FragColor = edge < 0.004 ? vec4(1.0, 0.9, 0.0, 1.0) : vec4(color, uOpacity);
+        } else if (uLayer == 1) {
+            gl_FragColor = vec4(uBackground, 1.0 - person);
+        } else {
+            if (!uHasVideo || !inside) discard;
+            vec3 color = texture2D(uVideo, videoUv).rgb;
+            float luma = dot(color, vec3(0.299, 0.587, 0.114));
+            color = mix(color, uTint * (0.4 + 1.6 * luma), uTintAmount);
+            gl_FragColor = vec4(color, person * uOpacity);
+        }
+        #include <colorspace_fragment>
+    }
+`;
+
+export function createCameraFeed(video) {
+    const videoTexture = new THREE.VideoTexture(video);
+    videoTexture.colorSpace = THREE.SRGBColorSpace;
+
+    let maskTexture = null;
+    const maskUniform = { value: null };
+    const hasMask = { value: false };
+    const worldToSource = { value: new THREE.Matrix3() };
+    const worldSize = { value: new THREE.Vector2(1, 1) };
+
+    const createPlane = (renderOrder) => {
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                uVideo: { value: videoTexture },
+                uMask: maskUniform,
+                uWorldToSource: worldToSource,
+                uWorldSize: worldSize,
+                uHasVideo: { value: false },
+                uHasMask: hasMask,
+                uInvertMask: { value: false },
+                uLayer: { value: 0 },
+                uTint: { value: new THREE.Color() },
+                uTintAmount: { value: 0 },
+                uOpacity: { value: 1 },
+                uBackground: { value: new THREE.Color() }
+            },
+            vertexShader,
+            fragmentShader,
+            transparent: true,
+            depthTest: false,
+            depthWrite: false,
+            toneMapped: false
+        });
+        const plane = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), material);
+        plane.renderOrder = renderOrder;
+        plane.frustumCulled = false;
+        plane.visible = false;
+        return plane;
+    };
+
+    const back = createPlane(-1);
+    const front = createPlane(1);
+    const calibration = createPlane(2);
+    const group = new THREE.Group();
+    group.add(back, front, calibration);
+
+    function configure(plane, layer, options) {
+        const needsVideo = layer === 'person' || layer === 'tinted';
+        plane.visible = layer !== null && (!needsVideo || options.hasVideo);
+        if (!plane.visible) return;
+
+        const uniforms = plane.material.uniforms;
+        uniforms.uLayer.value = LAYER_IDS[layer];
+        uniforms.uHasVideo.value = options.hasVideo;
+        uniforms.uInvertMask.value = options.invertMask;
+        uniforms.uTint.value.set(options.tint);
+        uniforms.uTintAmount.value = layer === 'tinted' ? options.tintAmount : 0;
+        uniforms.uOpacity.value = options.opacity;
+        uniforms.uBackground.value.set(options.background);
+    }
+
+    return {
+        object: group,
+
+        // mask is ImageData-like with the person in alpha (or out of it, with invertMask)
+        setMask(mask) {
+            if (!mask || !mask.data) {
+                hasMask.value = false;
+                return;
+            }
+            const data = new Uint8Array(mask.data.buffer, mask.data.byteOffset, mask.data.length);
+            const image = maskTexture && maskTexture.image;
+            if (!image || image.width !== mask.width || image.height !== mask.height) {
+                if (maskTexture) maskTexture.dispose();
+                maskTexture = new THREE.DataTexture(data, mask.width, mask.height);
+                maskTexture.minFilter = THREE.LinearFilter;
+                maskTexture.magFilter = THREE.LinearFilter;
+                maskUniform.value = maskTexture;
+            } else {
+                image.data = data;
+            }
+            maskTexture.needsUpdate = true;
+            hasMask.value = true;
+        },
+
+        // options: { mode, mapping, hasVideo, invertMask, tint, tintAmount, opacity, background, calibrate }
+        update(options) {
+            const layers = MODE_LAYERS[options.mode] || MODE_LAYERS.off;
+            const { mapping } = options;
+            group.scale.set(mapping.worldWidth, mapping.worldHeight, 1);
+            worldSize.value.set(mapping.worldWidth, mapping.worldHeight);
+            worldToSource.value.set(...mapping.inverse);
+
+            configure(back, layers.back, options);
+            // Without a mask the front layers would cover everything
+            configure(front, hasMask.value ? layers.front : null, options);
+            configure(calibration, options.calibrate ? 'calibration' : null, { ...options, opacity: 0.6 });
+        },
+
+        dispose() {
+            videoTexture.dispose();
+            if (maskTexture) maskTexture.dispose();
+            [back, front, calibration].forEach(plane => {
+                plane.geometry.dispose();
+                plane.material.dispose();
+            });
+        }
+    };
+}
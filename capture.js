@@ -0,0 +1,87 @@
+// --- Output Capture ---
+// WebM recording of the output canvas, PNG stills, and writing numbered frames to a folder
+// for offline renders. The render loop itself lives in main.js; these are the browser bits.
+//
+// A WebGL canvas is cleared after it's composited, so stills must be grabbed in the same
+// task as the render that drew them.
+
+const MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm'
+];
+
+export function isRecordingSupported() {
+    return typeof MediaRecorder !== 'undefined' && MIME_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+}
+
+// Records the canvas (plus any audio tracks) until stop(), which resolves to the WebM Blob
+export function startCanvasRecording(canvas, { fps = 60, audioTracks = [], videoBitsPerSecond = 12000000 } = {}) {
+    const mimeType = MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw new Error('WebM recording is not supported in this browser');
+
+    const stream = canvas.captureStream(fps);
+    audioTracks.forEach(track => stream.addTrack(track));
+
+    const chunks = [];
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond });
+    recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+    };
+    const finished = new Promise((resolve, reject) => {
+        recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+        recorder.onerror = (event) => reject(event.error || new Error('MediaRecorder failed'));
+    });
+    // An error mid-recording is reported when stop() is awaited, not as an unhandled rejection
+    finished.catch(() => {});
+    // Regular chunks keep memory flat-ish and lose less if the tab dies
+    recorder.start(1000);
+    const startTime = performance.now();
+
+    return {
+        mimeType,
+        get duration() { return (performance.now() - startTime) / 1000; },
+        stop() {
+            if (recorder.state !== 'inactive') recorder.stop();
+            stream.getVideoTracks().forEach(track => track.stop());
+            return finished;
+        }
+    };
+}
+
+export function canvasToPng(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png');
+    });
+}
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Local time as 20250101-120000, for file names
+export function timestamp(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+// Asks for a folder to write frames into (Chromium only: File System Access API)
+export async function pickOutputDirectory() {
+    if (typeof window.showDirectoryPicker !== 'function') {
+        throw new Error('Offline render needs a browser with showDirectoryPicker (Chrome or Edge)');
+    }
+    return window.showDirectoryPicker({ mode: 'readwrite' });
+}
+
+export async function writeFile(directory, name, blob) {
+    const handle = await directory.getFileHandle(name, { create: true });
+    const writable = await handle.createWritable();
+    await writable.write(blob);
+    await writable.close();
+}
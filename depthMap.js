@@ -0,0 +1,78 @@
+// --- Depth Maps ---
+// Everything downstream (simulation, spawn sampler, sessions, the occlusion pass) takes depth
+// as an ImageData-like { data, width, height } with depth in red, 0 = near and 255 = far.
+// ml5's depthEstimation reports the other way round, as rows of 0-1 values with 1 = near
+// (and 0 off the person when filtered), so results are converted here first.
+
+const MAX_WIDTH = 160;  // depth is soft anyway; keeps the conversion and smoothing cheap
+
+// Converts an ml5 depth result, or a replayed { depth } one, to the format above; null if empty
+export function normalizeDepth(result) {
+    if (!result) return null;
+    // Already converted: sessions record and replay this format
+    if (result.depth && result.depth.data) return result.depth;
+
+    const { data, width, height } = result;
+    if (!data || !width || !height) return null;
+    const rows = Array.isArray(data[0]) || ArrayBuffer.isView(data[0]);
+    const value = rows
+        ? (x, y) => data[y][x]
+        : (x, y) => data[y * width + x];
+
+    const step = Math.max(1, Math.ceil(width / MAX_WIDTH));
+    const outWidth = Math.floor(width / step);
+    const outHeight = Math.floor(height / step);
+    const out = new Uint8ClampedArray(outWidth * outHeight * 4);
+    for (let y = 0; y < outHeight; y++) {
+        for (let x = 0; x < outWidth; x++) {
+            const near = value(x * step, y * step) || 0;
+            const i = (y * outWidth + x) * 4;
+            out[i] = out[i + 1] = out[i + 2] = (1 - near) * 255;
+            out[i + 3] = 255;
+        }
+    }
+    return makeImage(out, outWidth, outHeight);
+}
+
+// Exponential moving average over successive depth maps, to stop bubbles and the occlusion
+// edge flickering. amount 0 passes maps straight through; 0.9 is very sluggish.
+// Each update returns a new object, so caches keyed on the depth map see the change.
+export function createDepthSmoother() {
+    let average = null;
+    let width = 0;
+    let height = 0;
+
+    return {
+        update(depth, amount) {
+            if (!depth || !depth.data) return null;
+            const count = depth.width * depth.height;
+            if (!average || depth.width !== width || depth.height !== height || amount <= 0) {
+                average = new Float32Array(count);
+                for (let i = 0; i < count; i++) average[i] = depth.data[i * 4];
+                width = depth.width;
+                height = depth.height;
+                if (amount <= 0) return depth;
+            } else {
+                const keep = Math.min(amount, 0.99);
+                for (let i = 0; i < count; i++) {
+                    average[i] = average[i] * keep + depth.data[i * 4] * (1 - keep);
+                }
+            }
+
+            const out = new Uint8ClampedArray(count * 4);
+            for (let i = 0; i < count; i++) {
+                out[i * 4] = out[i * 4 + 1] = out[i * 4 + 2] = average[i];
+                out[i * 4 + 3] = 255;
+            }
+            return makeImage(out, width, height);
+        },
+
+        reset() {
+            average = null;
+        }
+    };
+}
+
+function makeImage(data, width, height) {
+    return typeof ImageData !== 'undefined' ? new ImageData(data, width, height) : { data, width, height };
+}
@@ -0,0 +1,290 @@
+import { createEmitter } from './events.js';
+import { normalizeDepth } from './depthMap.js';
+
+// --- Detector Providers ---
+// A provider owns the models behind the four inputs and runs their detection loops:
+//
+//   bodyPose      [{ id, keypoints: [{ x, y, confidence }] }]     (ml5 bodyPose / MoveNet)
+//   segmentation  { mask }, person out of the alpha channel        (ml5 bodySegmentation)
+//   depth         { depth }, in depthMap.js's format              (ml5 depthEstimation)
+//   hands         [{ handedness, confidence, keypoints }]          (ml5 handPose, see hands.js)
+//
+// All coordinates are in source pixels. Each detector reports its state (idle | loading |
+// ready | error), whether its loop is running, the last error, and timing: latency is how
+// long one detection took, interval the time between results (both EMAs, in seconds).
+// interval can be held up with setMinInterval, e.g. to give the frame rate some room.
+//
+// Events: 'result' { name, result, time, latency } (latency null for streamed results),
+// 'state' { name, state, error }, 'error' { name, error }.
+//
+// Implementations (createMl5Provider here, createMockProvider in mockDetectors.js) supply:
+//   load(name)                     resolves once the model can run, throws on failure
+//   ready(source)                  whether the source has a frame to read
+//   detect(name, source)           resolves to one result
+//   canDetect(name)                optional; false for models that can only stream, in which
+//   stream(name, source, onResult) case this starts them and returns a stop function
+
+export const DETECTOR_NAMES = ['bodyPose', 'segmentation', 'depth', 'hands'];
+
+const TIMING_SMOOTHING = 0.1;
+const ERROR_BACKOFF = 1;  // seconds before retrying a detection that threw
+const SOURCE_POLL = 0.1;  // seconds between checks while the source has no frame
+
+export function createProvider(name, impl, { sourceSize = null } = {}) {
+    const emitter = createEmitter();
+    const detectors = {};
+    DETECTOR_NAMES.forEach(detectorName => {
+        detectors[detectorName] = {
+            state: 'idle',
+            running: false,
+            error: null,
+            errors: 0,
+            latency: 0,
+            interval: 0,
+            minInterval: 0,
+            lastResult: 0,
+            loading: null,
+            token: 0,
+            stopStream: null
+        };
+    });
+
+    const provider = {
+        name,
+        on: emitter.on,
+        off: emitter.off,
+        // Size of the frame synthetic providers draw in; null when results follow the source
+        sourceSize,
+
+        // Loads one detector; resolves true when it's ready. Safe to call repeatedly.
+        load(detectorName) {
+            const detector = detectors[detectorName];
+            if (detector.state === 'ready') return Promise.resolve(true);
+            if (detector.loading) return detector.loading;
+            setState(detectorName, 'loading');
+            detector.loading = Promise.resolve()
+                .then(() => impl.load(detectorName))
+                .then(() => {
+                    setState(detectorName, 'ready');
+                    return true;
+                }, (err) => {
+                    setState(detectorName, 'error', err);
+                    return false;
+                })
+                .finally(() => {
+                    detector.loading = null;
+                });
+            return detector.loading;
+        },
+
+        // Starts (or restarts) the detection loop on a source; the detector must be ready.
+        // Returns false if it isn't, or if the model can't run on its own.
+        start(detectorName, source) {
+            const detector = detectors[detectorName];
+            if (detector.state !== 'ready') return false;
+            provider.stop(detectorName);
+            const token = ++detector.token;
+            detector.running = true;
+            detector.lastResult = now();
+
+            if (impl.canDetect && !impl.canDetect(detectorName)) {
+                try {
+                    detector.stopStream = impl.stream(detectorName, source, (result) => {
+                        if (detector.token === token) deliver(detectorName, result, null);
+                    });
+                } catch (err) {
+                    detector.running = false;
+                    setState(detectorName, 'error', err);
+                    return false;
+                }
+                return true;
+            }
+            runLoop(detectorName, source, token);
+            return true;
+        },
+
+        stop(detectorName) {
+            const detector = detectors[detectorName];
+            detector.token++;
+            detector.running = false;
+            if (detector.stopStream) {
+                detector.stopStream();
+                detector.stopStream = null;
+            }
+        },
+
+        stopAll() {
+            DETECTOR_NAMES.forEach(provider.stop);
+        },
+
+        // Seconds to wait at least between the starts of two detections
+        setMinInterval(detectorName, seconds) {
+            detectors[detectorName].minInterval = Math.max(0, seconds);
+        },
+
+        isReady(detectorName) {
+            return detectors[detectorName].state === 'ready';
+        },
+
+        isRunning(detectorName) {
+            return detectors[detectorName].running;
+        },
+
+        // { bodyPose: 'ready', ... }
+        states() {
+            const states = {};
+            DETECTOR_NAMES.forEach(detectorName => states[detectorName] = detectors[detectorName].state);
+            return states;
+        },
+
+        // Snapshot of one detector's state and timing
+        status(detectorName) {
+            const detector = detectors[detectorName];
+            return {
+                state: detector.state,
+                running: detector.running,
+                error: detector.error,
+                errors: detector.errors,
+                latency: detector.latency,
+                interval: detector.interval,
+                minInterval: detector.minInterval,
+                sinceResult: detector.running ? now() - detector.lastResult : 0
+            };
+        }
+    };
+
+    function setState(detectorName, state, err = null) {
+        const detector = detectors[detectorName];
+        detector.state = state;
+        detector.error = err ? (err.message || String(err)) : null;
+        emitter.emit('state', { name: detectorName, state, error: detector.error });
+    }
+
+    // Single-shot detections back to back, no closer together than minInterval
+    async function runLoop(detectorName, source, token) {
+        const detector = detectors[detectorName];
+        while (detector.token === token) {
+            const started = now();
+            let wait = SOURCE_POLL;
+            if (impl.ready(source)) {
+                wait = 0;
+                try {
+                    const result = await impl.detect(detectorName, source);
+                    if (detector.token !== token) return;
+                    deliver(detectorName, result, now() - started);
+                } catch (err) {
+                    if (detector.token !== token) return;
+                    detector.error = err.message || String(err);
+                    detector.errors++;
+                    emitter.emit('error', { name: detectorName, error: detector.error });
+                    wait = ERROR_BACKOFF;
+                }
+            }
+            wait = Math.max(wait, detector.minInterval - (now() - started));
+            await sleep(wait);
+        }
+    }
+
+    function deliver(detectorName, result, latency) {
+        const detector = detectors[detectorName];
+        const time = now();
+        const interval = time - detector.lastResult;
+        detector.lastResult = time;
+        detector.interval += (interval - detector.interval) * TIMING_SMOOTHING;
+        if (latency !== null) detector.latency += (latency - detector.latency) * TIMING_SMOOTHING;
+        emitter.emit('result', { name: detectorName, result, time, latency });
+    }
+
+    return provider;
+}
+
+// --- ml5 ---
+
+const ML5_URL = 'https://unpkg.com/ml5@1/dist/ml5.min.js';
+
+// Constructor, then single-shot, streaming and stop methods in the order they're tried.
+// depthEstimation names its methods estimate* rather than detect*.
+const ML5_MODELS = {
+    bodyPose: { create: 'bodyPose', detect: ['detect'], start: ['detectStart'], stop: ['detectStop'] },
+    segmentation: { create: 'bodySegmentation', detect: ['detect'], start: ['detectStart'], stop: ['detectStop'] },
+    depth: { create: 'depthEstimation', detect: ['estimate', 'detect'], start: ['estimateStart', 'detectStart'], stop: ['estimateStop', 'detectStop'] },
+    hands: { create: 'handPose', detect: ['detect'], start: ['detectStart'], stop: ['detectStop'] }
+};
+
+// options: { bodyPose, segmentation, depth, hands }, each the ml5 options object or a function
+// returning it (read when the model loads)
+export function createMl5Provider({ url = ML5_URL, options = {} } = {}) {
+    const models = {};
+    let script = null;
+
+    const method = (model, names) => names.find(name => typeof model[name] === 'function');
+
+    return createProvider('ml5', {
+        async load(name) {
+            if (!script) script = loadScript(url);
+            await script;
+            const spec = ML5_MODELS[name];
+            const modelOptions = typeof options[name] === 'function' ? options[name]() : (options[name] || {});
+            models[name] = await new Promise((resolve, reject) => {
+                let model = null;
+                try {
+                    model = window.ml5[spec.create](modelOptions, loaded => resolve(loaded || model));
+                } catch (err) {
+                    reject(err);
+                }
+            });
+        },
+
+        ready(source) {
+            return Boolean(source) && source.readyState >= 2 && source.videoWidth > 0;
+        },
+
+        detect(name, source) {
+            const model = models[name];
+            const detect = method(model, ML5_MODELS[name].detect);
+            return model[detect](source).then(result => convert(name, result));
+        },
+
+        canDetect(name) {
+            return Boolean(models[name] && method(models[name], ML5_MODELS[name].detect));
+        },
+
+        stream(name, source, onResult) {
+            const model = models[name];
+            const spec = ML5_MODELS[name];
+            const start = method(model, spec.start);
+            if (!start) throw new Error(`ml5 ${spec.create} has no way to run continuously`);
+            model[start](source, result => onResult(convert(name, result)));
+            return () => {
+                const stop = method(model, spec.stop);
+                if (stop) model[stop]();
+            };
+        }
+    });
+}
+
+// Only depth needs reshaping; the rest already match the formats above
+function convert(name, result) {
+    if (name === 'depth') return { depth: normalizeDepth(result) };
+    return result;
+}
+
+// Adds the script once; a failed load rejects every model waiting on it
+function loadScript(url) {
+    if (typeof window.ml5 !== 'undefined') return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const element = document.createElement('script');
+        element.src = url;
+        element.onload = resolve;
+        element.onerror = () => reject(new Error(`Failed to load ${url}`));
+        document.head.appendChild(element);
+    });
+}
+
+function now() {
+    return performance.now() / 1000;
+}
+
+function sleep(seconds) {
+    return new Promise(resolve => setTimeout(resolve, seconds * 1000));
+}
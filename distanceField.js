@@ -0,0 +1,125 @@
+// --- Silhouette Distance Field ---
+// Signed distance from every cell of a (downsampled) segmentation mask to the person outline:
+// positive outside the person, negative inside, in cells. Uses the exact linear-time
+// Euclidean distance transform from Felzenszwalb & Huttenlocher.
+
+import { isPersonPixel } from './personMask.js';
+
+const INF = 1e20;
+
+// mask is ImageData-like with the person in the alpha channel, or out of it with invert
+// (see personMask.js)
+export function computeSignedDistance(mask, stride = 4, invert = false) {
+    const width = Math.ceil(mask.width / stride);
+    const height = Math.ceil(mask.height / stride);
+    const size = width * height;
+
+    const inside = new Uint8Array(size);
+    for (let y = 0; y < height; y++) {
+        const my = Math.min(mask.height - 1, y * stride);
+        for (let x = 0; x < width; x++) {
+            const mx = Math.min(mask.width - 1, x * stride);
+            inside[y * width + x] = isPersonPixel(mask, my * mask.width + mx, invert) ? 1 : 0;
+        }
+    }
+
+    // Squared distance to the nearest person cell, and to the nearest background cell
+    const toPerson = new Float32Array(size);
+    const toBackground = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        toPerson[i] = inside[i] ? 0 : INF;
+        toBackground[i] = inside[i] ? INF : 0;
+    }
+    transform2d(toPerson, width, height);
+    transform2d(toBackground, width, height);
+
+    const data = new Float32Array(size);
+    let hasPerson = false;
+    for (let i = 0; i < size; i++) {
+        if (inside[i]) {
+            hasPerson = true;
+            data[i] = -Math.sqrt(toBackground[i]);
+        } else {
+            data[i] = Math.sqrt(toPerson[i]);
+        }
+    }
+
+    return { width, height, stride, data, hasPerson };
+}
+
+function transform2d(grid, width, height) {
+    const length = Math.max(width, height);
+    const f = new Float32Array(length);
+    const d = new Float32Array(length);
+    const v = new Int32Array(length);
+    const z = new Float32Array(length + 1);
+
+    for (let x = 0; x < width; x++) {
+        for (let y = 0; y < height; y++) f[y] = grid[y * width + x];
+        transform1d(f, d, v, z, height);
+        for (let y = 0; y < height; y++) grid[y * width + x] = d[y];
+    }
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) f[x] = grid[y * width + x];
+        transform1d(f, d, v, z, width);
+        for (let x = 0; x < width; x++) grid[y * width + x] = d[x];
+    }
+}
+
+// 1D squared distance transform of sampled function f into d
+function transform1d(f, d, v, z, n) {
+    let k = 0;
+    v[0] = 0;
+    z[0] = -INF;
+    z[1] = INF;
+    for (let q = 1; q < n; q++) {
+        let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        while (s <= z[k]) {
+            k--;
+            s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        }
+        k++;
+        v[k] = q;
+        z[k] = s;
+        z[k + 1] = INF;
+    }
+    k = 0;
+    for (let q = 0; q < n; q++) {
+        while (z[k + 1] < q) k++;
+        const dq = q - v[k];
+        d[q] = dq * dq + f[v[k]];
+    }
+}
+
+// Bilinear distance (in cells) at normalised mask coordinates; Infinity outside the frame
+export function sampleDistance(field, u, v) {
+    if (u < 0 || u >= 1 || v < 0 || v >= 1) return Infinity;
+
+    // Cell values sit at cell centres
+    const fx = Math.min(Math.max(u * field.width - 0.5, 0), field.width - 1);
+    const fy = Math.min(Math.max(v * field.height - 0.5, 0), field.height - 1);
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const x1 = Math.min(x0 + 1, field.width - 1);
+    const y1 = Math.min(y0 + 1, field.height - 1);
+    const tx = fx - x0;
+    const ty = fy - y0;
+
+    const d = field.data;
+    const top = d[y0 * field.width + x0] * (1 - tx) + d[y0 * field.width + x1] * tx;
+    const bottom = d[y1 * field.width + x0] * (1 - tx) + d[y1 * field.width + x1] * tx;
+    return top * (1 - ty) + bottom * ty;
+}
+
+// Unit gradient of the distance field (points away from the person) in mask coordinates
+export function sampleGradient(field, u, v) {
+    const du = 1 / field.width;
+    const dv = 1 / field.height;
+    const clampU = (x) => Math.min(Math.max(x, 0), 1 - 1e-6);
+    const clampV = (y) => Math.min(Math.max(y, 0), 1 - 1e-6);
+
+    const gx = sampleDistance(field, clampU(u + du), clampV(v)) - sampleDistance(field, clampU(u - du), clampV(v));
+    const gy = sampleDistance(field, clampU(u), clampV(v + dv)) - sampleDistance(field, clampU(u), clampV(v - dv));
+    const length = Math.sqrt(gx * gx + gy * gy);
+    return length > 1e-6 ? { x: gx / length, y: gy / length } : { x: 0, y: 0 };
+}
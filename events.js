@@ -0,0 +1,46 @@
+// --- Events ---
+// Minimal named-event emitter shared by the trackers and recognisers.
+// A listener that throws doesn't stop the others; the error goes to onListenerError's handler.
+
+let reportListenerError = (name, err) => console.error(`Error in "${name}" listener:`, err);
+let reporting = false;
+
+// handler(eventName, error); main.js points this at the telemetry log
+export function onListenerError(handler) {
+    reportListenerError = handler;
+}
+
+export function createEmitter() {
+    const listeners = new Map();
+
+    return {
+        // Returns a function that removes the listener again
+        on(name, listener) {
+            if (!listeners.has(name)) listeners.set(name, new Set());
+            listeners.get(name).add(listener);
+            return () => listeners.get(name).delete(listener);
+        },
+
+        off(name, listener) {
+            if (listeners.has(name)) listeners.get(name).delete(listener);
+        },
+
+        emit(name, payload) {
+            if (!listeners.has(name)) return;
+            listeners.get(name).forEach(listener => {
+                try {
+                    listener(payload);
+                } catch (err) {
+                    // A handler that itself emits (the log does) mustn't loop back in here
+                    if (reporting) return;
+                    reporting = true;
+                    try {
+                        reportListenerError(name, err);
+                    } finally {
+                        reporting = false;
+                    }
+                }
+            });
+        }
+    };
+}
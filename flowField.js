@@ -0,0 +1,182 @@
+// --- Flow Fields ---
+// Two velocity fields that move bubbles besides their rise:
+//
+//   motion   optical flow between consecutive camera frames (Lucas-Kanade on a small grey
+//            copy of the video), so a fast wave sweeps the fizz along with it
+//   ambient  curl noise, a smooth swirling field with no sources or sinks, so bubbles drift
+//            together instead of each wobbling on its own
+//
+// A motion field is { width, height, u, v }: a grid over the source frame with velocities in
+// normalised source units per second (u right, v down), like the rest of the inputs.
+// Only createFlowEstimator touches the DOM; the rest runs under Node.
+
+const CELL = 4;  // analysed pixels per flow cell
+const MIN_DETERMINANT = 1e-4;  // below this the window has no usable texture (aperture problem)
+
+// Samples the video into a small greyscale canvas and returns a smoothed motion field per
+// new frame. options (read on every update): { width, smoothing, threshold }
+export function createFlowEstimator() {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    let previous = null;
+    let previousTime = 0;
+    let field = null;
+
+    return {
+        get field() {
+            return field;
+        },
+
+        // time: seconds, from the video's clock; returns the current field (null until two frames)
+        update(video, time, { width = 64, smoothing = 0.5, threshold = 0.02 } = {}) {
+            if (!video.videoWidth || !video.videoHeight) return field;
+            const w = Math.max(CELL * 4, Math.round(width));
+            const h = Math.max(CELL * 3, Math.round(w * video.videoHeight / video.videoWidth));
+            if (canvas.width !== w || canvas.height !== h) {
+                canvas.width = w;
+                canvas.height = h;
+                previous = null;
+                field = null;
+            }
+
+            ctx.drawImage(video, 0, 0, w, h);
+            const current = toGrey(ctx.getImageData(0, 0, w, h).data);
+            const dt = time - previousTime;
+            if (!previous || dt <= 0 || dt > 0.5) {
+                previous = current;
+                previousTime = time;
+                return field;
+            }
+            // The camera hasn't delivered a new frame since the last call
+            if (sameFrame(previous, current)) return field;
+
+            const flow = computeFlow(previous, current, w, h);
+            previous = current;
+            previousTime = time;
+
+            // Pixels per frame -> normalised source units per second
+            for (let i = 0; i < flow.u.length; i++) {
+                let u = flow.u[i] / (w * dt);
+                let v = flow.v[i] / (h * dt);
+                if (u * u + v * v < threshold * threshold) u = v = 0;
+                if (field && field.u.length === flow.u.length) {
+                    u = field.u[i] * smoothing + u * (1 - smoothing);
+                    v = field.v[i] * smoothing + v * (1 - smoothing);
+                }
+                flow.u[i] = u;
+                flow.v[i] = v;
+            }
+            field = flow;
+            return field;
+        },
+
+        reset() {
+            previous = null;
+            field = null;
+        }
+    };
+}
+
+// Lucas-Kanade per CELL x CELL block (with a one-pixel border) between two greyscale frames.
+// Returns { width, height, u, v } in pixels per frame, one vector per block.
+export function computeFlow(previous, current, width, height) {
+    const cols = Math.floor(width / CELL);
+    const rows = Math.floor(height / CELL);
+    const u = new Float32Array(cols * rows);
+    const v = new Float32Array(cols * rows);
+
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            let sxx = 0, sxy = 0, syy = 0, sxt = 0, syt = 0;
+            const x0 = Math.max(1, col * CELL - 1);
+            const x1 = Math.min(width - 2, col * CELL + CELL);
+            const y0 = Math.max(1, row * CELL - 1);
+            const y1 = Math.min(height - 2, row * CELL + CELL);
+            for (let y = y0; y <= y1; y++) {
+                for (let x = x0; x <= x1; x++) {
+                    const i = y * width + x;
+                    const ix = (current[i + 1] - current[i - 1] + previous[i + 1] - previous[i - 1]) / 4;
+                    const iy = (current[i + width] - current[i - width] + previous[i + width] - previous[i - width]) / 4;
+                    const it = current[i] - previous[i];
+                    sxx += ix * ix;
+                    sxy += ix * iy;
+                    syy += iy * iy;
+                    sxt += ix * it;
+                    syt += iy * it;
+                }
+            }
+            const det = sxx * syy - sxy * sxy;
+            if (det < MIN_DETERMINANT) continue;
+            const cell = row * cols + col;
+            // LK only holds for small steps, so clamp what it makes of big ones
+            u[cell] = clamp((-syy * sxt + sxy * syt) / det, CELL);
+            v[cell] = clamp((sxy * sxt - sxx * syt) / det, CELL);
+        }
+    }
+    return { width: cols, height: rows, u, v };
+}
+
+// Motion at normalised source coordinates, nearest cell; null outside the field
+export function sampleFlow(field, u, v) {
+    if (!field || u < 0 || u > 1 || v < 0 || v > 1) return null;
+    const x = Math.min(field.width - 1, Math.floor(u * field.width));
+    const y = Math.min(field.height - 1, Math.floor(v * field.height));
+    const i = y * field.width + x;
+    return { u: field.u[i], v: field.v[i] };
+}
+
+// Divergence-free 2D velocity from the curl of a 3D value-noise potential (x, y, time).
+// Magnitude is roughly 0-1.5 for inputs in noise units.
+export function curlNoise(x, y, t) {
+    const e = 0.01;
+    const dx = (valueNoise(x + e, y, t) - valueNoise(x - e, y, t)) / (2 * e);
+    const dy = (valueNoise(x, y + e, t) - valueNoise(x, y - e, t)) / (2 * e);
+    return { x: dy, y: -dx };
+}
+
+function valueNoise(x, y, z) {
+    const xi = Math.floor(x);
+    const yi = Math.floor(y);
+    const zi = Math.floor(z);
+    const fx = fade(x - xi);
+    const fy = fade(y - yi);
+    const fz = fade(z - zi);
+    const lerp = (a, b, f) => a + (b - a) * f;
+    const corner = (ox, oy, oz) => hash3(xi + ox, yi + oy, zi + oz);
+    return lerp(
+        lerp(lerp(corner(0, 0, 0), corner(1, 0, 0), fx), lerp(corner(0, 1, 0), corner(1, 1, 0), fx), fy),
+        lerp(lerp(corner(0, 0, 1), corner(1, 0, 1), fx), lerp(corner(0, 1, 1), corner(1, 1, 1), fx), fy),
+        fz
+    );
+}
+
+// Quintic, so the gradient (and the curl) is continuous across lattice cells
+function fade(t) {
+    return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+// Lattice point -> 0-1
+function hash3(x, y, z) {
+    let h = Math.imul(x, 374761393) + Math.imul(y, 668265263) + Math.imul(z, 1440662683);
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+function toGrey(rgba) {
+    const grey = new Float32Array(rgba.length / 4);
+    for (let i = 0; i < grey.length; i++) {
+        grey[i] = (rgba[i * 4] * 0.299 + rgba[i * 4 + 1] * 0.587 + rgba[i * 4 + 2] * 0.114) / 255;
+    }
+    return grey;
+}
+
+function sameFrame(a, b) {
+    for (let i = 0; i < a.length; i += 7) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+function clamp(value, limit) {
+    return Math.max(-limit, Math.min(limit, value));
+}
@@ -0,0 +1,181 @@
+import { createEmitter } from './events.js';
+
+// --- Gestures ---
+// Recognises poses from tracked people (see personTracker.js) and emits named events.
+// A gesture is plain data plus a test function:
+//
+//   {
+//     name: 'handsUp',
+//     keypoints: [0, 9, 10],   // must all reach minConfidence, or the test isn't run
+//     minConfidence: 0.3,
+//     hold: 0.25,              // seconds the test must keep passing before it fires
+//     cooldown: 2,             // seconds before it may fire again for the same person
+//     test: (kp, ctx) => bool, // kp = keypoints, ctx = { scale, history, time }
+//     anchor: (kp) => ({ x, y }) // where it happened, in source pixels
+//   }
+//
+// After firing, a gesture has to stop passing before it can fire again. Listeners get
+// { name, personId, slot, position, time } on both the gesture's own name and 'gesture'.
+
+export const KEYPOINTS = {
+    nose: 0,
+    leftShoulder: 5,
+    rightShoulder: 6,
+    leftElbow: 7,
+    rightElbow: 8,
+    leftWrist: 9,
+    rightWrist: 10
+};
+
+const HISTORY_SECONDS = 1.0;
+
+const { nose, leftShoulder, rightShoulder, leftWrist, rightWrist } = KEYPOINTS;
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+export const DEFAULT_GESTURES = [
+    {
+        // Both wrists clearly above the head
+        name: 'handsUp',
+        keypoints: [nose, leftWrist, rightWrist, leftShoulder, rightShoulder],
+        minConfidence: 0.3,
+        hold: 0.25,
+        cooldown: 2.0,
+        test: (kp, { scale }) => {
+            const top = kp[nose].y - scale * 0.3;
+            return kp[leftWrist].y < top && kp[rightWrist].y < top;
+        },
+        anchor: (kp) => midpoint(kp[leftWrist], kp[rightWrist])
+    },
+    {
+        // Wrists far apart at roughly shoulder height
+        name: 'armsSpread',
+        keypoints: [leftWrist, rightWrist, leftShoulder, rightShoulder],
+        minConfidence: 0.3,
+        hold: 0.3,
+        cooldown: 2.0,
+        test: (kp, { scale }) => {
+            const shoulderY = (kp[leftShoulder].y + kp[rightShoulder].y) / 2;
+            const level = Math.abs(kp[leftWrist].y - shoulderY) < scale * 0.7 &&
+                Math.abs(kp[rightWrist].y - shoulderY) < scale * 0.7;
+            return level && Math.abs(kp[leftWrist].x - kp[rightWrist].x) > scale * 2.6;
+        },
+        anchor: (kp) => midpoint(kp[leftShoulder], kp[rightShoulder])
+    },
+    {
+        // Wrists meet after being apart within the last ~0.4s
+        name: 'clap',
+        keypoints: [leftWrist, rightWrist, leftShoulder, rightShoulder],
+        minConfidence: 0.3,
+        hold: 0,
+        cooldown: 0.6,
+        test: (kp, { scale, history, time }) => {
+            if (distance(kp[leftWrist], kp[rightWrist]) > scale * 0.5) return false;
+            return history.some(frame => time - frame.time < 0.4 &&
+                frame.wristDistance !== null && frame.wristDistance > scale * 1.5);
+        },
+        anchor: (kp) => midpoint(kp[leftWrist], kp[rightWrist])
+    }
+];
+
+export function createGestureRecognizer({ gestures = DEFAULT_GESTURES } = {}) {
+    const emitter = createEmitter();
+    const definitions = [...gestures];
+    // Per person id: { history: [], states: Map(name -> { since, armed, lastFired }) }
+    const tracks = new Map();
+
+    const recognizer = {
+        on: emitter.on,
+        off: emitter.off,
+        enabled: true,
+        get gestures() { return definitions; },
+
+        // Adds or replaces a gesture by name
+        define(gesture) {
+            const index = definitions.findIndex(g => g.name === gesture.name);
+            if (index >= 0) definitions[index] = gesture;
+            else definitions.push(gesture);
+        },
+
+        remove(name) {
+            const index = definitions.findIndex(g => g.name === name);
+            if (index >= 0) definitions.splice(index, 1);
+        },
+
+        // people from the person tracker, time in seconds
+        update(people, time) {
+            const seen = new Set();
+            people.forEach(person => {
+                if (!person.pose || !person.pose.keypoints) return;
+                seen.add(person.id);
+                updatePerson(person, time);
+            });
+            tracks.forEach((_, id) => {
+                if (!seen.has(id)) tracks.delete(id);
+            });
+        },
+
+        reset() {
+            tracks.clear();
+        }
+    };
+
+    function updatePerson(person, time) {
+        const kp = person.pose.keypoints;
+        let track = tracks.get(person.id);
+        if (!track) {
+            track = { history: [], states: new Map() };
+            tracks.set(person.id, track);
+        }
+
+        // Shoulder width is the yardstick, so thresholds hold at any distance from the camera
+        const ls = kp[leftShoulder];
+        const rs = kp[rightShoulder];
+        const scale = ls && rs ? Math.max(distance(ls, rs), 1) : null;
+        const lw = kp[leftWrist];
+        const rw = kp[rightWrist];
+        const wristsVisible = lw && rw && lw.confidence >= 0.3 && rw.confidence >= 0.3;
+
+        if (recognizer.enabled && scale !== null) {
+            const ctx = { scale, history: track.history, time };
+            definitions.forEach(gesture => {
+                const state = track.states.get(gesture.name) || { since: null, armed: true, lastFired: -Infinity };
+                track.states.set(gesture.name, state);
+
+                const confident = gesture.keypoints.every(i => kp[i] && kp[i].confidence >= gesture.minConfidence);
+                const passing = confident && gesture.test(kp, ctx);
+
+                if (!passing) {
+                    state.since = null;
+                    state.armed = true;
+                    return;
+                }
+                if (state.since === null) state.since = time;
+
+                const held = time - state.since >= gesture.hold;
+                const cooled = time - state.lastFired >= gesture.cooldown;
+                if (held && cooled && state.armed) {
+                    state.armed = false;
+                    state.lastFired = time;
+                    const event = {
+                        name: gesture.name,
+                        personId: person.id,
+                        slot: person.slot,
+                        position: gesture.anchor ? gesture.anchor(kp) : null,
+                        time
+                    };
+                    emitter.emit(gesture.name, event);
+                    emitter.emit('gesture', event);
+                }
+            });
+        }
+
+        track.history.push({ time, wristDistance: wristsVisible ? distance(lw, rw) : null });
+        while (track.history.length && time - track.history[0].time > HISTORY_SECONDS) {
+            track.history.shift();
+        }
+    }
+
+    return recognizer;
+}
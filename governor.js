@@ -0,0 +1,104 @@
+import { createEmitter } from './events.js';
+
+// --- Performance Governor ---
+// Steps quality down when the frame rate or pose detection can't keep up, and back up once
+// there's room again. Frame times are added up into windows of WINDOW seconds; a window under
+// the target frame rate, or with pose detection slower than maxLatency, is bad, and one well
+// over the target is good. DOWN_WINDOWS bad windows in a row drop a tier, UP_WINDOWS good
+// ones raise it. A tier that couldn't be held after a raise waits twice as long for the
+// next try, so a machine sitting on the edge doesn't flip between two tiers.
+//
+// Tiers scale the configured values: bubbles (count), segments (sphere detail), pixelRatio,
+// bloom (size of the bloom render targets), and every: per detector, the frames (at the
+// target rate) to leave between the starts of two detections, 0 for as often as it can.
+//
+// Events: 'change' { tier, previous, reason }.
+
+export const QUALITY_TIERS = [
+    { name: 'full', bubbles: 1, segments: 1, pixelRatio: 1, bloom: 1, every: { bodyPose: 0, segmentation: 0, depth: 0, hands: 0 } },
+    { name: 'high', bubbles: 1, segments: 0.75, pixelRatio: 1, bloom: 0.5, every: { bodyPose: 0, segmentation: 0, depth: 2, hands: 0 } },
+    { name: 'medium', bubbles: 0.75, segments: 0.5, pixelRatio: 0.85, bloom: 0.5, every: { bodyPose: 0, segmentation: 2, depth: 4, hands: 1 } },
+    { name: 'low', bubbles: 0.5, segments: 0.5, pixelRatio: 0.7, bloom: 0.35, every: { bodyPose: 1, segmentation: 3, depth: 8, hands: 2 } },
+    { name: 'minimal', bubbles: 0.3, segments: 0.35, pixelRatio: 0.5, bloom: 0.25, every: { bodyPose: 2, segmentation: 4, depth: 12, hands: 3 } }
+];
+
+export const QUALITY_TIER_NAMES = QUALITY_TIERS.map(tier => tier.name);
+
+const WINDOW = 1;  // seconds of frame time per measurement
+const DOWN_WINDOWS = 2;
+const UP_WINDOWS = 5;
+const UP_MARGIN = 1.2;  // a good window runs this much faster than the target
+const MAX_BACKOFF = 24;  // longest wait before retrying a tier, in multiples of UP_WINDOWS (2 minutes)
+
+export function createGovernor() {
+    const emitter = createEmitter();
+    let frames = 0;
+    let elapsed = 0;
+    let bad = 0;
+    let good = 0;
+    let windows = 0;
+    let raisedAt = -Infinity;  // window of the last raise
+    const backoff = QUALITY_TIERS.map(() => 1);
+
+    const governor = {
+        on: emitter.on,
+        off: emitter.off,
+        index: 0,
+        // Last full window: frames per second, and the pose latency it was judged on
+        fps: 0,
+        latency: 0,
+
+        get tier() {
+            return QUALITY_TIERS[governor.index];
+        },
+
+        // frameTime and latency in seconds (latency 0 when nothing is measured).
+        // options: { enabled, targetFps, maxLatency, best, worst } with best and worst tier
+        // names; disabled pins the tier to best. Returns true when the tier changed.
+        update(frameTime, latency, { enabled, targetFps, maxLatency, best, worst }) {
+            const highest = Math.max(0, QUALITY_TIER_NAMES.indexOf(best));
+            const lowest = Math.max(highest, QUALITY_TIER_NAMES.indexOf(worst));
+            if (!enabled) return setTier(highest, 'disabled');
+            if (governor.index < highest) return setTier(highest, 'limit');
+            if (governor.index > lowest) return setTier(lowest, 'limit');
+
+            frames++;
+            elapsed += frameTime;
+            if (elapsed < WINDOW) return false;
+            governor.fps = frames / elapsed;
+            governor.latency = latency;
+            frames = 0;
+            elapsed = 0;
+            windows++;
+
+            const slow = governor.fps < targetFps || (maxLatency > 0 && latency > maxLatency);
+            const fast = !slow && governor.fps >= targetFps * UP_MARGIN;
+            bad = slow ? bad + 1 : 0;
+            good = fast ? good + 1 : 0;
+
+            if (bad >= DOWN_WINDOWS && governor.index < lowest) {
+                // Raised into this tier not long ago and it didn't hold
+                if (windows - raisedAt <= UP_WINDOWS * 2) {
+                    backoff[governor.index] = Math.min(MAX_BACKOFF, backoff[governor.index] * 2);
+                }
+                return setTier(governor.index + 1, governor.fps >= targetFps ? 'latency' : 'frame rate');
+            }
+            if (governor.index > highest && good >= UP_WINDOWS * backoff[governor.index - 1]) {
+                raisedAt = windows;
+                return setTier(governor.index - 1, 'headroom');
+            }
+            return false;
+        }
+    };
+
+    function setTier(index, reason) {
+        if (index === governor.index) return false;
+        const previous = governor.tier;
+        governor.index = index;
+        frames = elapsed = bad = good = 0;
+        emitter.emit('change', { tier: governor.tier, previous, reason });
+        return true;
+    }
+
+    return governor;
+}
@@ -0,0 +1,59 @@
+// --- Hand Landmarks ---
+// Helpers for ml5 handPose results: [{ keypoints: [{ x, y }] x 21, handedness, confidence }]
+// in source pixels, landmark order as in MediaPipe Hands. The simulation uses them for
+// fingertip pushes and pinch grabs; main.js draws them in the skeleton view.
+
+export const HAND_LANDMARKS = {
+    wrist: 0,
+    thumbTip: 4,
+    indexMcp: 5,
+    indexTip: 8,
+    middleMcp: 9,
+    middleTip: 12,
+    ringTip: 16,
+    pinkyTip: 20
+};
+
+export const FINGERTIPS = [4, 8, 12, 16, 20];
+
+export const HAND_CONNECTIONS = [
+    [0, 1], [1, 2], [2, 3], [3, 4],  // thumb
+    [0, 5], [5, 6], [6, 7], [7, 8],  // index
+    [5, 9], [9, 10], [10, 11], [11, 12],  // middle
+    [9, 13], [13, 14], [14, 15], [15, 16],  // ring
+    [13, 17], [0, 17], [17, 18], [18, 19], [19, 20]  // pinky and palm
+];
+
+// Thumb-to-index gap relative to the palm length, so it doesn't depend on distance to the camera.
+// Pinching when it drops under PINCH_START and released when it rises over PINCH_END.
+export const PINCH_START = 0.3;
+export const PINCH_END = 0.45;
+
+export function pinchRatio(hand) {
+    const k = hand.keypoints;
+    if (!k || k.length < 21) return Infinity;
+    const palm = distance(k[HAND_LANDMARKS.wrist], k[HAND_LANDMARKS.middleMcp]);
+    if (palm < 1e-6) return Infinity;
+    return distance(k[HAND_LANDMARKS.thumbTip], k[HAND_LANDMARKS.indexTip]) / palm;
+}
+
+// Between thumb and index tips, in source pixels
+export function pinchPoint(hand) {
+    const thumb = hand.keypoints[HAND_LANDMARKS.thumbTip];
+    const index = hand.keypoints[HAND_LANDMARKS.indexTip];
+    return { x: (thumb.x + index.x) / 2, y: (thumb.y + index.y) / 2 };
+}
+
+// Stable-ish key for a hand across results: handedness, numbered when there are several
+export function handKeys(hands) {
+    const seen = {};
+    return hands.map(hand => {
+        const side = hand.handedness || 'Hand';
+        seen[side] = (seen[side] || 0) + 1;
+        return `${side}${seen[side]}`;
+    });
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
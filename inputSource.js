@@ -0,0 +1,238 @@
+// --- Input Sources ---
+// Every source is attached to the same <video> element that the ml5 models read from.
+// Webcams and video files play on it directly; image sequences are drawn onto a canvas
+// and streamed into it with captureStream(), so the models never need to be restarted.
+
+export const SOURCE_TYPES = ['webcam', 'video', 'sequence'];
+
+const SEQUENCE_LOOKAHEAD = 8;
+
+let activeSequence = null;
+let activeObjectUrls = [];
+let endedListener = null;
+
+// Called with the video element when a live camera track ends on its own (unplugged,
+// revoked, driver reset). Stopping a source ourselves doesn't count.
+export function onSourceEnded(listener) {
+    endedListener = listener;
+}
+
+// False once the camera behind a webcam source has gone away
+export function isSourceLive(video) {
+    if (!video.srcObject) return true;
+    return video.srcObject.getVideoTracks().some(track => track.readyState === 'live');
+}
+
+export function stopSource(video) {
+    detachSource(video);
+    revokeObjectUrls(activeObjectUrls);
+    activeObjectUrls = [];
+}
+
+// Stops whatever plays on the video, but keeps its object URLs so it can be started again
+function detachSource(video) {
+    if (activeSequence) {
+        activeSequence.stop();
+        activeSequence = null;
+    }
+
+    if (video.srcObject) {
+        video.srcObject.getTracks().forEach(track => track.stop());
+        video.srcObject = null;
+    }
+
+    video.removeAttribute('src');
+    video.load();
+}
+
+function revokeObjectUrls(urls) {
+    urls.forEach(url => URL.revokeObjectURL(url));
+}
+
+export async function startWebcam(video, deviceId) {
+    detachSource(video);
+
+    const constraints = deviceId
+        ? { video: { deviceId: { exact: deviceId } } }
+        : { video: { facingMode: 'user' } };
+
+    const stream = await navigator.mediaDevices.getUserMedia(constraints);
+    stream.getVideoTracks().forEach(track => {
+        track.addEventListener('ended', () => {
+            if (video.srcObject === stream && endedListener) endedListener(video);
+        });
+    });
+    video.srcObject = stream;
+    video.loop = false;
+    await waitForPlaying(video);
+}
+
+export async function startVideoFile(video, url) {
+    detachSource(video);
+
+    video.src = url;
+    video.loop = true;
+    video.muted = true;
+    await waitForPlaying(video);
+}
+
+export async function startImageSequence(video, urls, fps = 30) {
+    detachSource(video);
+
+    if (!urls.length) {
+        throw new Error('Image sequence is empty');
+    }
+
+    const first = await loadImage(urls[0]);
+    const canvas = document.createElement('canvas');
+    canvas.width = first.naturalWidth;
+    canvas.height = first.naturalHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(first, 0, 0);
+
+    // Keep a small window of decoded frames ahead of the playhead instead of the whole sequence
+    const cache = new Map([[0, first]]);
+    const prefetch = (from) => {
+        for (let i = from; i < from + SEQUENCE_LOOKAHEAD; i++) {
+            const index = i % urls.length;
+            if (cache.has(index)) continue;
+            const pending = loadImage(urls[index])
+                .catch(() => 'missing')
+                .then(image => {
+                    if (cache.get(index) === pending) cache.set(index, image);
+                });
+            cache.set(index, pending);
+        }
+    };
+
+    let frame = 0;
+    const timer = setInterval(() => {
+        const next = (frame + 1) % urls.length;
+        const image = cache.get(next);
+        // Hold the current frame until the next one has decoded; skip frames that failed to load
+        if (image instanceof Promise) return;
+        if (image instanceof HTMLImageElement) {
+            ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        }
+        cache.delete(frame);
+        frame = next;
+        prefetch(frame + 1);
+    }, 1000 / fps);
+    prefetch(1);
+
+    activeSequence = {
+        stop: () => {
+            clearInterval(timer);
+            cache.clear();
+        }
+    };
+
+    video.srcObject = canvas.captureStream(fps);
+    video.loop = false;
+    await waitForPlaying(video);
+}
+
+// Attaches a source description (see parseSourceParams / filesToSource) to the video element.
+// If it fails, the previous source's object URLs are still valid, so that one can be restarted.
+export async function startSource(video, source) {
+    const urls = source.objectUrls || [];
+    try {
+        if (source.type === 'webcam') {
+            await startWebcam(video, source.deviceId);
+        } else if (source.type === 'video') {
+            await startVideoFile(video, source.src);
+        } else {
+            await startImageSequence(video, source.urls, source.fps);
+        }
+    } catch (err) {
+        revokeObjectUrls(urls.filter(url => !activeObjectUrls.includes(url)));
+        throw err;
+    }
+
+    // Object URLs created for dropped files live until the next source replaces this one
+    revokeObjectUrls(activeObjectUrls.filter(url => !urls.includes(url)));
+    activeObjectUrls = [...urls];
+}
+
+// Turns dropped or picked files into a source description
+export function filesToSource(fileList) {
+    const files = Array.from(fileList);
+    const videoFile = files.find(file => file.type.startsWith('video/'));
+    if (videoFile) {
+        const url = URL.createObjectURL(videoFile);
+        return { type: 'video', src: url, label: videoFile.name, objectUrls: [url] };
+    }
+
+    const images = files
+        .filter(file => file.type.startsWith('image/'))
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    if (images.length) {
+        const urls = images.map(file => URL.createObjectURL(file));
+        return { type: 'sequence', urls, label: `${images.length} images`, objectUrls: urls };
+    }
+
+    return null;
+}
+
+// Reads ?source=webcam|video|sequence plus its options from the page URL; files need a src
+export function parseSourceParams(search) {
+    const params = new URLSearchParams(search);
+    const type = params.get('source');
+    if (!SOURCE_TYPES.includes(type)) return null;
+    if (type !== 'webcam' && !params.get('src')) return null;
+
+    const source = { type };
+    if (type === 'webcam') {
+        source.camera = parseInt(params.get('camera') || '0', 10);
+    } else if (type === 'video') {
+        source.src = params.get('src');
+        source.label = source.src;
+    } else {
+        const pattern = params.get('src');
+        const frames = parseInt(params.get('frames') || '0', 10);
+        const start = parseInt(params.get('start') || '0', 10);
+        source.urls = expandSequencePattern(pattern, frames, start);
+        source.fps = parseFloat(params.get('fps') || '30');
+        source.label = pattern;
+    }
+    return source;
+}
+
+// Expands a printf-style pattern such as "frames/frame_%04d.png" into a list of URLs
+export function expandSequencePattern(pattern, count, start = 0) {
+    const match = pattern.match(/%(0?)(\d*)d/);
+    if (!match) return [pattern];
+
+    const width = parseInt(match[2] || '0', 10);
+    const urls = [];
+    for (let i = 0; i < count; i++) {
+        const number = String(start + i).padStart(match[1] ? width : 0, '0');
+        urls.push(pattern.replace(match[0], number));
+    }
+    return urls;
+}
+
+function waitForPlaying(video) {
+    return new Promise((resolve, reject) => {
+        video.onloadedmetadata = () => {
+            // Keep the element size in sync with the source so keypoints and masks share one pixel space
+            video.width = video.videoWidth;
+            video.height = video.videoHeight;
+            video.play().catch(reject);
+        };
+        video.onplaying = () => {
+            video.onplaying = null;
+            resolve();
+        };
+        video.onerror = () => reject(new Error(video.error ? video.error.message : 'Failed to load source'));
+    });
+}
+
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`Failed to load ${url}`));
+        image.src = url;
+    });
+}
@@ -0,0 +1,124 @@
+import { createEmitter } from './events.js';
+
+// --- Kiosk Helpers ---
+// Pieces for running unattended: an attract state that takes over when nobody has been
+// seen for a while, a watchdog for detection loops that stop delivering results, and the
+// text mask the attract loop spawns bubbles from.
+
+// Fades between interactive (level 0) and attract (level 1).
+// Events: 'attract' and 'interactive' when the state flips.
+export function createPresenceMonitor() {
+    const emitter = createEmitter();
+    let lastSeen = null;
+    let lastTime = null;
+
+    const monitor = {
+        on: emitter.on,
+        off: emitter.off,
+        attract: false,
+        level: 0,
+
+        // time in seconds; delay and fade in seconds (delay <= 0 disables attract)
+        update(time, present, { delay, fade }) {
+            if (lastSeen === null || present) lastSeen = time;
+            const dt = lastTime === null ? 0 : Math.max(0, time - lastTime);
+            lastTime = time;
+
+            const attract = delay > 0 && time - lastSeen >= delay;
+            if (attract !== monitor.attract) {
+                monitor.attract = attract;
+                emitter.emit(attract ? 'attract' : 'interactive', { time });
+            }
+
+            const target = attract ? 1 : 0;
+            const stepSize = fade > 0 ? dt / fade : 1;
+            monitor.level += Math.max(-stepSize, Math.min(stepSize, target - monitor.level));
+            return monitor.level;
+        },
+
+        // Counts as a fresh sighting, e.g. after switching source
+        reset() {
+            lastSeen = null;
+        }
+    };
+    return monitor;
+}
+
+// Tracks when each named loop last produced a result
+export function createDetectionWatchdog() {
+    const beats = new Map();
+
+    return {
+        beat(name, time) {
+            beats.set(name, time);
+        },
+
+        forget(name) {
+            beats.delete(name);
+        },
+
+        // Names of loops that have been silent for longer than timeout seconds
+        stalled(time, timeout) {
+            const names = [];
+            beats.forEach((last, name) => {
+                if (time - last > timeout) names.push(name);
+            });
+            return names;
+        }
+    };
+}
+
+// Fraction of mask cells with alpha over half, sampled every `stride` pixels
+export function maskCoverage(mask, stride = 8) {
+    if (!mask || !mask.data) return 0;
+    let covered = 0;
+    let total = 0;
+    for (let y = 0; y < mask.height; y += stride) {
+        for (let x = 0; x < mask.width; x += stride) {
+            if (mask.data[(y * mask.width + x) * 4 + 3] > 127) covered++;
+            total++;
+        }
+    }
+    return total ? covered / total : 0;
+}
+
+// ImageData with the text in the alpha channel, laid out like a segmentation mask of
+// width x height so it lands upright on screen through `mapping` (see mapping.js).
+// "|" breaks lines. With invert the alpha is flipped, matching Invert Mask.
+export function createTextMask(text, width, height, { mapping, invert = false }) {
+    // Draw the text in world orientation first...
+    const worldCanvas = document.createElement('canvas');
+    worldCanvas.height = height;
+    worldCanvas.width = Math.max(1, Math.round(height * mapping.worldWidth / mapping.worldHeight));
+    const ctx = worldCanvas.getContext('2d');
+
+    const lines = String(text).split('|');
+    let fontSize = Math.floor(worldCanvas.height / (lines.length + 1));
+    ctx.font = `900 ${fontSize}px sans-serif`;
+    const widest = Math.max(...lines.map(line => ctx.measureText(line).width), 1);
+    fontSize = Math.floor(fontSize * Math.min(1, (worldCanvas.width * 0.9) / widest));
+
+    ctx.font = `900 ${fontSize}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#fff';
+    lines.forEach((line, i) => {
+        const y = worldCanvas.height / 2 + (i - (lines.length - 1) / 2) * fontSize * 1.1;
+        ctx.fillText(line, worldCanvas.width / 2, y);
+    });
+    const drawn = ctx.getImageData(0, 0, worldCanvas.width, worldCanvas.height).data;
+
+    // ...then pull each mask pixel from wherever the mapping puts it
+    const image = new ImageData(width, height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const world = mapping.toWorld((x + 0.5) / width, (y + 0.5) / height);
+            const wx = Math.floor((world.x / mapping.worldWidth + 0.5) * worldCanvas.width);
+            const wy = Math.floor((0.5 - world.y / mapping.worldHeight) * worldCanvas.height);
+            const onScreen = wx >= 0 && wx < worldCanvas.width && wy >= 0 && wy < worldCanvas.height;
+            const alpha = onScreen ? drawn[(wy * worldCanvas.width + wx) * 4 + 3] : 0;
+            image.data[(y * width + x) * 4 + 3] = invert ? 255 - alpha : alpha;
+        }
+    }
+    return image;
+}
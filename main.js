@@ -3,30 +3,174 @@ import * as THREE from 'three';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import {
+    SOURCE_TYPES, startSource, filesToSource, parseSourceParams, onSourceEnded, isSourceLive
+} from './inputSource.js';
+import { createBubbleMesh, updateBubbleMesh, updateBubbleOcclusion, setBubbleSegments, disposeBubbleMesh } from './bubbleMesh.js';
+import { createSimulation } from './simulation.js';
+import { SPAWN_WEIGHTINGS } from './spawnSampler.js';
+import { createPersonTracker } from './personTracker.js';
+import { createGestureRecognizer } from './gestures.js';
+import { createSplash } from './splash.js';
+import { COMPOSITE_MODES, createCameraFeed } from './cameraFeed.js';
+import { FRAME_MODES, fitFrame, createSafeAreaOverlay } from './outputFrame.js';
+import { DEFAULT_MAPPING, MAPPING_FITS, MAPPING_ROTATIONS } from './mapping.js';
+import { normalizeDepth, createDepthSmoother } from './depthMap.js';
+import { createFlowEstimator } from './flowField.js';
+import { FINGERTIPS, HAND_CONNECTIONS } from './hands.js';
+import { createPopAudio } from './popAudio.js';
+import { AUDIO_BAND_NAMES, createAudioReactive } from './audioReactive.js';
+import {
+    snapshotConfig, applyConfig, parseConfigParams, listPresets, savePreset, loadPreset, deletePreset,
+    exportConfig, importConfig
+} from './presets.js';
+import { DETECTOR_NAMES, createMl5Provider } from './detectors.js';
+import { MOCK_SCRIPTS, createMockProvider } from './mockDetectors.js';
+import { QUALITY_TIER_NAMES, createGovernor } from './governor.js';
+import { createTelemetry } from './telemetry.js';
+import { createTelemetryPanel } from './telemetryPanel.js';
+import { createPresenceMonitor, createDetectionWatchdog, maskCoverage, createTextMask } from './kiosk.js';
+import {
+    isRecordingSupported, startCanvasRecording, canvasToPng, downloadBlob, timestamp, pickOutputDirectory, writeFile
+} from './capture.js';
+import { createRemoteControl, pathToValues, REMOTE_PROTOCOL_VERSION } from './remoteControl.js';
+import { onListenerError } from './events.js';
+import { createSessionRecorder, createSessionPlayer, downloadSession, loadSession, isSession } from './session.js';
+
+// Simulation runs in fixed steps on its own clock, independent of the display refresh rate
+const SIM_STEP = 1 / 60;
+const MAX_FRAME_TIME = 0.25;  // seconds of real time to catch up after a stall
+const MAX_STEPS_PER_FRAME = 16;
+
+const CAMERA_RETRY_DELAY = 2000;  // ms between attempts to get a lost camera back
+const WATCHDOG_INTERVAL = 1000;  // ms between checks for stalled detection loops
+const ATTRACT_MASK_HEIGHT = 192;  // pixels; the width follows the screen aspect
 
 // --- Configuration ---
 const CONFIG = {
     bubbleCount: 1000,
     bubbleSpeed: 1.27,
     bubbleSize: 0.7,
+    bubbleSegments: 24,  // sphere detail, shared by every instance
     interactionRadius: 4.0,
     cokeRed: 0xF40009,
     bubbleColor: 0xffffff,
+    frameMode: 'fixed',  // fixed: render at outputWidth x outputHeight, boxed into the window
+    outputWidth: 1080,
+    outputHeight: 1920,
+    letterboxColor: 0x000000,
+    showSafeArea: false,
+    safeAreaMargin: 0.1,  // title-safe inset per side; action-safe is half of it
+    // Camera-to-world calibration: mirror, rotation, crop, fit, scale, offset (see mapping.js)
+    mapping: { ...DEFAULT_MAPPING },
+    compositeMode: 'off',  // camera feed: off | cutout | soda | occlude | window (see cameraFeed.js)
+    feedOpacity: 1.0,
+    sodaTint: 0x9a1b0c,
+    sodaTintAmount: 0.6,
     bloomStrength: 0.5,
     bloomRadius: 0.4,
     bloomThreshold: 0.85,
     spawnOnBody: true,
     invertMask: true,
-    bubbleLifespan: 0.7  // seconds, 0 = infinite
+    spawnWeighting: 'uniform',  // uniform | depth | edge
+    spawnEdgeFalloff: 0.05,  // edge weighting falloff, fraction of frame height
+    depthSmoothing: 0.7,  // 0-0.95, how much of the previous depth map each new one keeps
+    depthPlacement: true,  // bubbles spawned on the body take its depth for z
+    depthNear: 8,  // world z for the nearest depth (the camera is at z = 20)
+    depthFar: -8,  // world z for the farthest
+    depthJitter: 2,  // z spread around the sampled depth
+    depthOcclusion: false,  // the person hides bubbles behind them
+    occlusionSoftness: 1.0,  // world z over which bubbles fade out behind the person
+    obstacleMode: false,  // bubbles collide with the segmentation silhouette
+    obstacleStrength: 1.0,
+    obstacleMargin: 0.5,  // world units kept clear around the outline
+    bubbleLifespan: 0.7,  // seconds, 0 = infinite
+    physicsMode: false,  // bubbles rise by buoyancy, bump into each other and merge (see physics.js)
+    physicsBuoyancy: 14,  // upward acceleration per world unit of radius
+    physicsDrag: 2.0,  // per second; terminal speed is buoyancy * radius / drag
+    physicsStiffness: 40,  // how hard overlapping bubbles push apart
+    coalescence: true,
+    coalesceRadius: 0.35,  // bubbles up to this radius merge when they touch
+    maxBubbleRadius: 2.0,  // merged bubbles stop growing here
+    flowEnabled: true,  // camera motion sweeps bubbles along (optical flow, see flowField.js)
+    flowStrength: 3.0,
+    flowResolution: 64,  // width of the analysed frame, pixels
+    flowSmoothing: 0.5,  // 0-0.95, how much of the previous field each new one keeps
+    flowThreshold: 0.02,  // slower motion (frame widths per second) is treated as noise
+    ambientStrength: 1.0,  // curl-noise drift that replaces the old per-bubble wobble
+    ambientScale: 0.15,  // swirls per world unit
+    ambientSpeed: 0.2,  // how fast the swirls change
+    handsEnabled: true,  // ml5 handPose: fingertips push, a pinch grabs and throws (see hands.js)
+    maxHands: 2,  // read when the model loads
+    fingerRadius: 1.0,  // world units around each fingertip that bubbles are pushed out of
+    grabRadius: 2.0,  // how far from a pinch a bubble can be grabbed
+    throwStrength: 1.0,  // released bubbles keep this much of the hand's velocity
+    detectorProvider: 'ml5',  // ml5 | mock: scripted people, no camera or model download (see mockDetectors.js)
+    mockScript: 'wave',  // wave | walk | empty
+    inputSource: 'webcam',  // webcam | video | sequence
+    sequenceFps: 30,
+    timeScale: 1.0,
+    seed: 1,  // simulation RNG seed; replays always restart from it
+    personStylesEnabled: true,  // each tracked person gets their own bubble style
+    enterBurst: 40,  // bubbles released around someone when they step in
+    popOnTouch: true,  // wrists pop the bubbles they touch
+    popTouchRadius: 0.5,
+    popOnExpire: false,  // pop instead of fading at the end of the lifespan
+    soundVolume: 0.6,
+    soundMuted: false,
+    audioReactive: true,  // music drives the mappings below while an audio input is running
+    audioGain: 1.5,
+    // factor = 1 + amount * band energy (0-1); band 'none' turns a mapping off
+    audioMappings: {
+        spawnRate: { band: 'bass', amount: 2.0 },
+        bubbleSpeed: { band: 'mid', amount: 1.0 },
+        bloomStrength: { band: 'bass', amount: 1.5 },
+        bubbleScale: { band: 'treble', amount: 0.5 }
+    },
+    kioskMode: false,  // hides the cursor and GUI (Shift+K toggles)
+    attractDelay: 20,  // seconds with nobody in view before the attract loop, 0 = never
+    attractFade: 1.5,  // seconds
+    attractText: 'STEP IN|FRONT',  // bubbles spawn in these letters; "|" breaks lines
+    watchdogTimeout: 5,  // seconds without results before a detection loop is restarted, 0 = off
+    recordAudio: true,  // mix pop sounds and the playing audio file into video recordings
+    recordFps: 60,
+    snapshotGesture: 'none',  // gesture that saves a PNG, or 'none'
+    renderWidth: 1080,  // offline render output
+    renderHeight: 1920,
+    renderFps: 30,
+    gesturesEnabled: true,
+    governorEnabled: true,  // steps quality down (and back up) to hold the frame rate, see governor.js
+    governorTargetFps: 30,
+    governorMaxLatency: 0.2,  // seconds per pose detection before it counts as too slow, 0 = ignore
+    qualityBest: 'full',  // the governor stays between these tiers
+    qualityWorst: 'minimal',
+    gestureBurst: 150,  // hands up: bubbles released above the head
+    gesturePush: 20,  // arms spread: outward knock strength
+    clapRadius: 4,  // clap: bubbles popped around the hands
+    personStyles: [
+        { color: 0xffffff, sizeMultiplier: 1.0, speedMultiplier: 1.0 },
+        { color: 0xffd54a, sizeMultiplier: 1.2, speedMultiplier: 0.8 },
+        { color: 0x8ee8ff, sizeMultiplier: 0.8, speedMultiplier: 1.3 },
+        { color: 0xffa3d9, sizeMultiplier: 1.0, speedMultiplier: 1.1 }
+    ]
 };
 
+// Kept for "Reset to Defaults", before presets or URL overrides touch CONFIG
+const DEFAULT_CONFIG = snapshotConfig(CONFIG);
+
 // --- Globals ---
 let scene, camera, renderer, composer;
-let bubbles = [];
-let bodyPose, bodySegmentation, depthEstimation;
+let sim;
+let bubbleMesh;
+let detectors = null;  // the active provider (detectors.js), null until detection is set up
 let poses = [];
+let hands = [];
 let segmentationResult;
-let depthResult;
+let depthMap = null;  // smoothed, in depthMap.js's format
+const depthSmoother = createDepthSmoother();
+const drawingBufferSize = new THREE.Vector2();
+const flowEstimator = createFlowEstimator();
+let flowField = null;
 let video;
 let visibleWidth, visibleHeight;
 let bloomPass;
@@ -34,13 +178,68 @@ let gui;
 let skeletonGroup;
 let segmentationDebugCanvas;
 let depthDebugCanvas;
+let flowDebugCanvas;
 let availableCameras = [];
 let currentCameraIndex = 0;
+let currentSource = null;
+let fileInput;
+let sessionFileInput;
+const recorder = createSessionRecorder();
+let sessionPlayer = null;
+let loopReplay = true;  // the Session folder's Loop Replay
+const personTracker = createPersonTracker();
+const gestureRecognizer = createGestureRecognizer();
+const popAudio = createPopAudio({ volume: CONFIG.soundVolume, muted: CONFIG.soundMuted });
+const audioReactive = createAudioReactive({
+    getContext: () => {
+        popAudio.unlock();
+        return popAudio.context;
+    }
+});
+let audioFileInput;
+let presetFileInput;
+const remote = createRemoteControl();
+const REMOTE_STATUS_INTERVAL = 1000;  // ms
+const debugViews = { showOverlay: false, showSkeleton: false, showSegmentation: false, showDepth: false, showFlow: false };
+let fps = 0;
+const presence = createPresenceMonitor();
+const watchdog = createDetectionWatchdog();
+const governor = createGovernor();
+const telemetry = createTelemetry();
+let telemetryPanel;
+let maskPresent = false;  // the last segmentation mask looked like someone was there
+let attractMask = null;
+let attractMaskKey = null;
+let attractPrompt;
+let cameraRetryTimer = null;
+let videoCapture = null;
+let videoController = null;  // the Capture folder's record button
+let recordingAudio = null;  // { destination, sources } while a recording takes audio
+let snapshotRequested = false;
+let offlineRendering = false;
+let calibrating = false;  // camera frame and skeleton overlaid for lining up the mapping
+let splash;
+let cameraFeed;
+let safeArea;
+const defaultBubbleColor = new THREE.Color();
+const personColors = [];
+let accumulator = 0;
+let lastFrameTime = 0;
+let paused = false;
+let pendingSteps = 0;
 
 // --- Initialization ---
 async function init() {
     const app = document.getElementById('app');
 
+    // Uncaught errors go into the telemetry log too, so they end up in exported reports
+    window.addEventListener('error', event => log(event.message, 'app', 'error'));
+    window.addEventListener('unhandledrejection', event => log(`Unhandled rejection: ${event.reason}`, 'app', 'error'));
+    onListenerError((name, err) => log(`Error in "${name}" listener: ${err.message || err}`, 'app', 'error'));
+    telemetryPanel = createTelemetryPanel(telemetry, { onExport: exportTelemetry });
+
+    applyStartupConfig();
+
     scene = new THREE.Scene();
     scene.background = new THREE.Color(CONFIG.cokeRed);
     scene.fog = new THREE.FogExp2(CONFIG.cokeRed, 0.015);
@@ -67,7 +266,7 @@ async function init() {
     composer.addPass(renderScene);
     composer.addPass(bloomPass);
 
-    updateVisibleBounds();
+    sim = createSimulation({ config: CONFIG, seed: CONFIG.seed, viewDistance: camera.position.z });
 
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.7);
     scene.add(ambientLight);
@@ -82,6 +281,9 @@ async function init() {
     spotLight.penumbra = 0.1;
     scene.add(spotLight);
 
+    splash = createSplash();
+    scene.add(splash.object);
+
     // Skeleton Group
     skeletonGroup = new THREE.Group();
     scene.add(skeletonGroup);
@@ -115,14 +317,57 @@ async function init() {
     depthDebugCanvas.style.zIndex = '999';
     document.body.appendChild(depthDebugCanvas);
 
+    // Flow Debug Canvas
+    flowDebugCanvas = document.createElement('canvas');
+    flowDebugCanvas.id = 'flow-debug';
+    flowDebugCanvas.style.position = 'absolute';
+    flowDebugCanvas.style.pointerEvents = 'none';
+    flowDebugCanvas.style.display = 'none';
+    flowDebugCanvas.style.zIndex = '1001';
+    document.body.appendChild(flowDebugCanvas);
+
+    safeArea = createSafeAreaOverlay();
+    onWindowResize();
+
     createBubbles();
 
-    await setupML5();
+    createVideo();
+    cameraFeed = createCameraFeed(video);
+    scene.add(cameraFeed.object);
+
+    // ?replay=path/to/session.json drives everything from a recording and never loads ml5
+    const replayUrl = new URLSearchParams(window.location.search).get('replay');
+    if (replayUrl) {
+        try {
+            startReplay(await loadSession(replayUrl));
+        } catch (err) {
+            log(`Error loading session: ${err.message}`, 'session', 'error');
+            await setupDetectors();
+        }
+    } else {
+        await setupDetectors();
+    }
 
     setupGUI();
+    setupKiosk();
 
     window.addEventListener('resize', onWindowResize, false);
+    window.addEventListener('keydown', onKeyDown);
+    // Audio can only start after a user gesture
+    window.addEventListener('pointerdown', () => popAudio.unlock());
+    window.addEventListener('keydown', () => popAudio.unlock());
+    audioReactive.gain = CONFIG.audioGain;
+    personTracker.on('enter', onPersonEnter);
+    personTracker.on('exit', person => log(`Person ${person.id} left`, 'people'));
+    setupGestures();
+    governor.on('change', ({ tier, previous, reason }) => {
+        log(`Quality ${previous.name} -> ${tier.name} (${reason})`, 'perf');
+        applyQuality();
+    });
+    setupDragAndDrop();
+    setupRemote();
 
+    lastFrameTime = performance.now() / 1000;
     animate();
 }
 
@@ -130,181 +375,1124 @@ function setupGUI() {
     gui = new GUI({ title: 'Coke Bubbles Settings' });
     gui.close(); // Start with GUI closed
 
+    const presetFolder = gui.addFolder('Presets');
+    const presetObj = {
+        name: 'My Preset',
+        selected: '',
+        save: () => {
+            const name = presetObj.name.trim();
+            if (!name) return;
+            const error = savePreset(name, CONFIG);
+            if (error) {
+                log(`Could not save preset "${name}": ${error.message}`, 'config', 'error');
+                return;
+            }
+            presetObj.selected = name;
+            refreshPresetList();
+            log(`Saved preset "${name}"`, 'config');
+        },
+        load: () => {
+            const values = presetObj.selected && loadPreset(presetObj.selected);
+            if (!values) return;
+            useConfig(values);
+            presetObj.name = presetObj.selected;
+            log(`Loaded preset "${presetObj.selected}"`, 'config');
+        },
+        remove: () => {
+            if (!presetObj.selected) return;
+            const error = deletePreset(presetObj.selected);
+            if (error) {
+                log(`Could not delete preset "${presetObj.selected}": ${error.message}`, 'config', 'error');
+                return;
+            }
+            log(`Deleted preset "${presetObj.selected}"`, 'config');
+            presetObj.selected = '';
+            refreshPresetList();
+        },
+        exportJson: () => exportConfig(CONFIG),
+        importJson: () => presetFileInput.click(),
+        reset: () => {
+            useConfig(DEFAULT_CONFIG);
+            log('Settings reset to defaults', 'config');
+        }
+    };
+    presetFolder.add(presetObj, 'name').name('Name').listen();
+    presetFolder.add(presetObj, 'save').name('Save');
+    presetFolder.add(presetObj, 'load').name('Load Selected');
+    presetFolder.add(presetObj, 'remove').name('Delete Selected');
+    presetFolder.add(presetObj, 'exportJson').name('Export JSON');
+    presetFolder.add(presetObj, 'importJson').name('Import JSON...');
+    presetFolder.add(presetObj, 'reset').name('Reset to Defaults');
+    let presetList = null;
+    // options() swaps in a new controller, so the list is kept as the folder's last row
+    function refreshPresetList() {
+        const names = listPresets();
+        if (presetObj.selected && !names.includes(presetObj.selected)) presetObj.selected = '';
+        if (!presetObj.selected && names.length) presetObj.selected = names[0];
+        presetList = presetList
+            ? presetList.options(names).name('Saved')
+            : presetFolder.add(presetObj, 'selected', names).name('Saved');
+    }
+    refreshPresetList();
+
     const bubbleFolder = gui.addFolder('Bubbles');
-    bubbleFolder.add(CONFIG, 'bubbleCount', 50, 1000, 10).name('Count').onFinishChange(createBubbles);
+    bubbleFolder.add(CONFIG, 'bubbleCount', 50, 20000, 10).name('Count').onFinishChange(createBubbles);
     bubbleFolder.add(CONFIG, 'bubbleSpeed', 0.0, 10.0).name('Speed');
     bubbleFolder.add(CONFIG, 'bubbleSize', 0.1, 2.0).name('Size').onChange(createBubbles);
+    bubbleFolder.add(CONFIG, 'bubbleSegments', 6, 48, 1).name('Detail').onFinishChange(createBubbles);
     bubbleFolder.add(CONFIG, 'bubbleLifespan', 0.0, 20.0).name('Lifespan (0=∞)');
     bubbleFolder.add(CONFIG, 'interactionRadius', 1.0, 10.0).name('Interact Radius');
 
     const spawnFolder = gui.addFolder('Spawning');
     spawnFolder.add(CONFIG, 'spawnOnBody').name('Spawn on Body');
     spawnFolder.add(CONFIG, 'invertMask').name('Invert Mask');
+    spawnFolder.add(CONFIG, 'spawnWeighting', SPAWN_WEIGHTINGS).name('Weighting');
+    spawnFolder.add(CONFIG, 'spawnEdgeFalloff', 0.01, 0.3).name('Edge Falloff');
+
+    const physicsFolder = gui.addFolder('Physics');
+    physicsFolder.add(CONFIG, 'physicsMode').name('Enabled');
+    physicsFolder.add(CONFIG, 'physicsBuoyancy', 0.0, 50.0).name('Buoyancy');
+    physicsFolder.add(CONFIG, 'physicsDrag', 0.1, 10.0).name('Drag');
+    physicsFolder.add(CONFIG, 'physicsStiffness', 0.0, 200.0).name('Collision Stiffness');
+    physicsFolder.add(CONFIG, 'coalescence').name('Coalescence');
+    physicsFolder.add(CONFIG, 'coalesceRadius', 0.05, 1.5).name('Merge Below Radius');
+    physicsFolder.add(CONFIG, 'maxBubbleRadius', 0.5, 5.0).name('Max Radius');
+    physicsFolder.add(sim.stats, 'merges').name('Merges').listen().disable();
+
+    const flowFolder = gui.addFolder('Flow');
+    flowFolder.add(CONFIG, 'flowEnabled').name('Camera Motion');
+    flowFolder.add(CONFIG, 'flowStrength', 0.0, 10.0).name('Motion Strength');
+    flowFolder.add(CONFIG, 'flowResolution', 32, 160, 16).name('Resolution');
+    flowFolder.add(CONFIG, 'flowSmoothing', 0.0, 0.95).name('Smoothing');
+    flowFolder.add(CONFIG, 'flowThreshold', 0.0, 0.2).name('Noise Threshold');
+    flowFolder.add(CONFIG, 'ambientStrength', 0.0, 5.0).name('Ambient Swirl');
+    flowFolder.add(CONFIG, 'ambientScale', 0.01, 0.5).name('Swirl Scale');
+    flowFolder.add(CONFIG, 'ambientSpeed', 0.0, 2.0).name('Swirl Speed');
+
+    const handFolder = gui.addFolder('Hands');
+    handFolder.add(CONFIG, 'handsEnabled').name('Enabled').onChange(updateHandDetection);
+    handFolder.add(CONFIG, 'fingerRadius', 0.0, 4.0).name('Finger Radius');
+    handFolder.add(CONFIG, 'grabRadius', 0.5, 6.0).name('Grab Radius');
+    handFolder.add(CONFIG, 'throwStrength', 0.0, 3.0).name('Throw Strength');
+
+    const depthFolder = gui.addFolder('Depth');
+    depthFolder.add(CONFIG, 'depthSmoothing', 0.0, 0.95).name('Smoothing');
+    depthFolder.add(CONFIG, 'depthPlacement').name('Place at Body Depth');
+    depthFolder.add(CONFIG, 'depthNear', -10, 15).name('Near Z');
+    depthFolder.add(CONFIG, 'depthFar', -30, 10).name('Far Z');
+    depthFolder.add(CONFIG, 'depthJitter', 0.0, 10.0).name('Z Jitter');
+    depthFolder.add(CONFIG, 'depthOcclusion').name('Occlusion');
+    depthFolder.add(CONFIG, 'occlusionSoftness', 0.1, 5.0).name('Occlusion Softness');
+
+    const popFolder = gui.addFolder('Popping');
+    popFolder.add(CONFIG, 'popOnTouch').name('Pop on Touch');
+    popFolder.add(CONFIG, 'popTouchRadius', 0.0, 3.0).name('Touch Radius');
+    popFolder.add(CONFIG, 'popOnExpire').name('Pop at End of Life');
+
+    const soundFolder = gui.addFolder('Sound');
+    soundFolder.add(CONFIG, 'soundVolume', 0.0, 1.0).name('Volume').onChange(v => popAudio.setVolume(v));
+    soundFolder.add(CONFIG, 'soundMuted').name('Mute').onChange(v => popAudio.setMuted(v));
+
+    const peopleFolder = gui.addFolder('People');
+    peopleFolder.add(CONFIG, 'personStylesEnabled').name('Per-person Styles');
+    peopleFolder.add(CONFIG, 'enterBurst', 0, 200, 1).name('Enter Burst');
+    CONFIG.personStyles.forEach((style, i) => {
+        const styleFolder = peopleFolder.addFolder(`Person ${i + 1}`).close();
+        styleFolder.addColor(style, 'color').name('Color');
+        styleFolder.add(style, 'sizeMultiplier', 0.2, 3.0).name('Size');
+        styleFolder.add(style, 'speedMultiplier', 0.2, 3.0).name('Speed');
+    });
+
+    const gestureFolder = gui.addFolder('Gestures');
+    gestureFolder.add(CONFIG, 'gesturesEnabled').name('Enabled').onChange(v => gestureRecognizer.enabled = v);
+    gestureFolder.add(CONFIG, 'gestureBurst', 0, 500, 10).name('Hands Up Burst');
+    gestureFolder.add(CONFIG, 'gesturePush', 0, 60).name('Arms Spread Push');
+    gestureFolder.add(CONFIG, 'clapRadius', 0, 10).name('Clap Radius');
+
+    const obstacleFolder = gui.addFolder('Silhouette');
+    obstacleFolder.add(CONFIG, 'obstacleMode').name('Collide with Body');
+    obstacleFolder.add(CONFIG, 'obstacleStrength', 0.0, 3.0).name('Strength');
+    obstacleFolder.add(CONFIG, 'obstacleMargin', 0.0, 3.0).name('Margin');
+
+    // Input source folder
+    const inputFolder = gui.addFolder('Input');
+    const inputObj = {
+        openFile: () => fileInput.click()
+    };
+    inputFolder.add(CONFIG, 'inputSource', SOURCE_TYPES).name('Source').listen().onChange(type => {
+        if (type === 'webcam') {
+            switchToCamera(currentCameraIndex);
+        } else if (!currentSource || currentSource.type !== type) {
+            // Files can only come from the picker or a drop, so ask for one
+            fileInput.click();
+        }
+    });
+    inputFolder.add(inputObj, 'openFile').name('Open Video / Images...');
+    inputFolder.add(CONFIG, 'sequenceFps', 1, 60, 1).name('Sequence FPS');
+
+    // Where poses, masks, depth and hands come from
+    const detectorFolder = gui.addFolder('Detectors');
+    detectorFolder.add(CONFIG, 'detectorProvider', ['ml5', 'mock']).name('Provider').listen().onChange(switchDetectors);
+    detectorFolder.add(CONFIG, 'mockScript', MOCK_SCRIPTS).name('Mock Script');
+    DETECTOR_NAMES.forEach(name => {
+        const statusObj = {
+            get [name]() {
+                if (!detectors) return 'idle';
+                const status = detectors.status(name);
+                if (status.state !== 'ready') return status.error ? `${status.state}: ${status.error}` : status.state;
+                if (!status.running) return 'stopped';
+                return `${Math.round(status.latency * 1000)} ms, ${status.interval > 0 ? (1 / status.interval).toFixed(1) : 0}/s`;
+            }
+        };
+        detectorFolder.add(statusObj, name).listen().disable();
+    });
 
     // Camera selection folder
     const cameraFolder = gui.addFolder('Camera');
     const cameraObj = {
         currentCamera: 'Camera 0',
         switchCamera: () => {
+            if (!availableCameras.length) return;
             currentCameraIndex = (currentCameraIndex + 1) % availableCameras.length;
             switchToCamera(currentCameraIndex);
         }
     };
     cameraFolder.add(cameraObj, 'switchCamera').name('Next Camera');
 
+    // Camera-to-world mapping
+    const calibrationFolder = gui.addFolder('Calibration');
+    const calibrationObj = {
+        get overlay() { return calibrating; },
+        set overlay(v) { setCalibrating(v); },
+        reset: () => useConfig({ mapping: DEFAULT_MAPPING })
+    };
+    calibrationFolder.add(calibrationObj, 'overlay').name('Show Overlay (C)').listen();
+    calibrationFolder.add(CONFIG.mapping, 'mirror').name('Mirror').listen();
+    calibrationFolder.add(CONFIG.mapping, 'rotation', MAPPING_ROTATIONS).name('Rotation').listen();
+    calibrationFolder.add(CONFIG.mapping, 'fit', MAPPING_FITS).name('Fit').listen();
+    calibrationFolder.add(CONFIG.mapping, 'cropLeft', 0, 0.45, 0.005).name('Crop Left').listen();
+    calibrationFolder.add(CONFIG.mapping, 'cropRight', 0, 0.45, 0.005).name('Crop Right').listen();
+    calibrationFolder.add(CONFIG.mapping, 'cropTop', 0, 0.45, 0.005).name('Crop Top').listen();
+    calibrationFolder.add(CONFIG.mapping, 'cropBottom', 0, 0.45, 0.005).name('Crop Bottom').listen();
+    calibrationFolder.add(CONFIG.mapping, 'scale', 0.25, 4, 0.01).name('Scale').listen();
+    calibrationFolder.add(CONFIG.mapping, 'offsetX', -0.5, 0.5, 0.005).name('Offset X').listen();
+    calibrationFolder.add(CONFIG.mapping, 'offsetY', -0.5, 0.5, 0.005).name('Offset Y').listen();
+    calibrationFolder.add(calibrationObj, 'reset').name('Reset Mapping');
+
     // Display available cameras
     window.addEventListener('load', () => {
         if (availableCameras.length > 0) {
             availableCameras.forEach((cam, i) => {
-                log(`Camera ${i}: ${cam.label || 'Unknown'}`);
+                log(`Camera ${i}: ${cam.label || 'Unknown'}`, 'input', 'debug');
             });
         }
     });
 
+    // Session record / replay folder
+    const sessionFolder = gui.addFolder('Session');
+    const sessionObj = {
+        get loop() { return loopReplay; },
+        set loop(v) {
+            loopReplay = v;
+            if (sessionPlayer) sessionPlayer.loop = v;
+        },
+        toggleRecording: () => {
+            if (recorder.recording) {
+                const session = recorder.stop();
+                log(`Recorded ${session.events.length} results over ${session.duration.toFixed(1)}s`, 'session');
+                downloadSession(session);
+            } else {
+                const { width, height } = getSourceSize();
+                recorder.start(width, height);
+                log('Recording session...', 'session');
+            }
+            recordController.name(recorder.recording ? 'Stop Recording' : 'Start Recording');
+        },
+        loadSession: () => sessionFileInput.click(),
+        stopReplay: () => stopReplay()
+    };
+    const recordController = sessionFolder.add(sessionObj, 'toggleRecording').name('Start Recording');
+    sessionFolder.add(sessionObj, 'loadSession').name('Replay Session...');
+    sessionFolder.add(sessionObj, 'stopReplay').name('Stop Replay');
+    sessionFolder.add(sessionObj, 'loop').name('Loop Replay');
+
+    const timeFolder = gui.addFolder('Time');
+    const timeObj = {
+        get paused() { return paused; },
+        set paused(v) { setPaused(v); },
+        step: () => stepOnce()
+    };
+    timeFolder.add(timeObj, 'paused').name('Paused (Space)').listen();
+    timeFolder.add(timeObj, 'step').name('Step (.)');
+    timeFolder.add(CONFIG, 'timeScale', 0.0, 4.0, 0.05).name('Time Scale ([ ])').listen();
+
+    const frameFolder = gui.addFolder('Output Frame');
+    frameFolder.add(CONFIG, 'frameMode', FRAME_MODES).name('Mode').onChange(onWindowResize);
+    frameFolder.add(CONFIG, 'outputWidth', 16, 4096, 1).name('Width').onFinishChange(onWindowResize);
+    frameFolder.add(CONFIG, 'outputHeight', 16, 4096, 1).name('Height').onFinishChange(onWindowResize);
+    frameFolder.addColor(CONFIG, 'letterboxColor').name('Bars').onChange(onWindowResize);
+    frameFolder.add(CONFIG, 'showSafeArea').name('Safe Area').onChange(onWindowResize);
+    frameFolder.add(CONFIG, 'safeAreaMargin', 0.0, 0.25).name('Safe Margin').onChange(onWindowResize);
+
     const visualFolder = gui.addFolder('Visuals');
     visualFolder.addColor(CONFIG, 'cokeRed').name('Bg Color').onChange(c => {
         scene.background.set(c);
         scene.fog.color.set(c);
     });
-    visualFolder.addColor(CONFIG, 'bubbleColor').name('Bubble Color').onChange(createBubbles);
+    visualFolder.addColor(CONFIG, 'bubbleColor').name('Bubble Color');
+    visualFolder.add(CONFIG, 'compositeMode', COMPOSITE_MODES).name('Camera Feed');
+    visualFolder.add(CONFIG, 'feedOpacity', 0.0, 1.0).name('Feed Opacity');
+    visualFolder.addColor(CONFIG, 'sodaTint').name('Soda Tint');
+    visualFolder.add(CONFIG, 'sodaTintAmount', 0.0, 1.0).name('Tint Amount');
 
     const bloomFolder = gui.addFolder('Bloom');
     bloomFolder.add(CONFIG, 'bloomStrength', 0.0, 3.0).name('Strength').onChange(v => bloomPass.strength = v);
     bloomFolder.add(CONFIG, 'bloomRadius', 0.0, 1.0).name('Radius').onChange(v => bloomPass.radius = v);
     bloomFolder.add(CONFIG, 'bloomThreshold', 0.0, 1.0).name('Threshold').onChange(v => bloomPass.threshold = v);
 
+    const audioFolder = gui.addFolder('Audio Reactive');
+    const audioObj = {
+        useMicrophone: () => startAudio(() => audioReactive.startMicrophone()),
+        openFile: () => audioFileInput.click(),
+        stop: () => {
+            audioReactive.stop();
+            log('Audio input stopped', 'audio');
+        }
+    };
+    audioFolder.add(CONFIG, 'audioReactive').name('Enabled');
+    audioFolder.add(audioObj, 'useMicrophone').name('Use Microphone');
+    audioFolder.add(audioObj, 'openFile').name('Play Audio File...');
+    audioFolder.add(audioObj, 'stop').name('Stop Audio');
+    audioFolder.add(CONFIG, 'audioGain', 0.0, 5.0).name('Gain').onChange(v => audioReactive.gain = v);
+    Object.keys(audioReactive.levels).forEach(band => {
+        audioFolder.add(audioReactive.levels, band, 0, 1).name(`Level: ${band}`).listen().disable();
+    });
+    const mappingNames = {
+        spawnRate: 'Spawn Rate',
+        bubbleSpeed: 'Bubble Speed',
+        bloomStrength: 'Bloom Strength',
+        bubbleScale: 'Bubble Scale'
+    };
+    Object.keys(CONFIG.audioMappings).forEach(key => {
+        const mapping = CONFIG.audioMappings[key];
+        const mappingFolder = audioFolder.addFolder(mappingNames[key] || key);
+        mappingFolder.add(mapping, 'band', AUDIO_BAND_NAMES).name('Band');
+        mappingFolder.add(mapping, 'amount', -1.0, 5.0).name('Amount');
+    });
+
+    const captureFolder = gui.addFolder('Capture');
+    const captureObj = {
+        toggleVideo: () => toggleVideoRecording(),
+        snapshot: () => requestSnapshot(),
+        renderOffline: () => renderOffline(),
+        get progress() { return offlineRendering ? 'rendering...' : 'idle'; }
+    };
+    videoController = captureFolder.add(captureObj, 'toggleVideo').name('Record Video (R)');
+    captureFolder.add(CONFIG, 'recordAudio').name('Record Audio');
+    captureFolder.add(CONFIG, 'recordFps', 15, 60, 1).name('Video FPS');
+    captureFolder.add(captureObj, 'snapshot').name('Snapshot PNG (S)');
+    captureFolder.add(CONFIG, 'snapshotGesture', ['none', ...gestureRecognizer.gestures.map(g => g.name)]).name('Snapshot Gesture');
+    const offlineFolder = captureFolder.addFolder('Offline Render').close();
+    offlineFolder.add(CONFIG, 'renderWidth', 16, 4096, 1).name('Width');
+    offlineFolder.add(CONFIG, 'renderHeight', 16, 4096, 1).name('Height');
+    offlineFolder.add(CONFIG, 'renderFps', 1, 120, 1).name('FPS');
+    offlineFolder.add(captureObj, 'renderOffline').name('Render Replay to PNGs...');
+    offlineFolder.add(captureObj, 'progress').name('Status').listen().disable();
+
+    const kioskFolder = gui.addFolder('Kiosk');
+    kioskFolder.add(CONFIG, 'kioskMode').name('Kiosk Mode (Shift+K)').listen().onChange(setKioskMode);
+    kioskFolder.add(CONFIG, 'attractDelay', 0, 300, 1).name('Attract After (s)');
+    kioskFolder.add(CONFIG, 'attractFade', 0.0, 5.0).name('Attract Fade (s)');
+    kioskFolder.add(CONFIG, 'attractText').name('Attract Text');
+    kioskFolder.add(CONFIG, 'watchdogTimeout', 0, 30, 1).name('Restart Stalled (s)');
+
+    const remoteFolder = gui.addFolder('Remote');
+    const remoteObj = {
+        endpoint: new URLSearchParams(window.location.search).get('remote') || 'ws://localhost:8787',
+        get state() { return remote.state; },
+        connect: () => remote.connect(remoteObj.endpoint),
+        disconnect: () => {
+            remote.disconnect();
+            log('Remote control disconnected', 'remote');
+        }
+    };
+    remoteFolder.add(remoteObj, 'endpoint').name('Endpoint');
+    remoteFolder.add(remoteObj, 'connect').name('Connect');
+    remoteFolder.add(remoteObj, 'disconnect').name('Disconnect');
+    remoteFolder.add(remoteObj, 'state').name('State').listen().disable();
+
+    const performanceFolder = gui.addFolder('Performance');
+    const performanceObj = {
+        get tier() { return governor.tier.name; },
+        get fps() { return Math.round(governor.fps * 10) / 10; }
+    };
+    performanceFolder.add(CONFIG, 'governorEnabled').name('Auto Quality');
+    performanceFolder.add(CONFIG, 'governorTargetFps', 15, 60, 1).name('Target FPS').onFinishChange(applyDetectorIntervals);
+    performanceFolder.add(CONFIG, 'governorMaxLatency', 0.0, 1.0, 0.01).name('Max Pose Latency (s)');
+    performanceFolder.add(CONFIG, 'qualityBest', QUALITY_TIER_NAMES).name('Best Tier');
+    performanceFolder.add(CONFIG, 'qualityWorst', QUALITY_TIER_NAMES).name('Worst Tier');
+    performanceFolder.add(performanceObj, 'tier').name('Current Tier').listen().disable();
+    performanceFolder.add(performanceObj, 'fps').name('Measured FPS').listen().disable();
+
     const debugFolder = gui.addFolder('Debug');
-    const debugObj = { showOverlay: false, showSkeleton: false, showSegmentation: false, showDepth: false };
-    debugFolder.add(debugObj, 'showOverlay').name('Show Logs').onChange(v => {
-        if (debugOverlay) debugOverlay.style.display = v ? 'block' : 'none';
-    });
-    // Hide logs by default
-    if (debugOverlay) debugOverlay.style.display = 'none';
-    debugFolder.add(debugObj, 'showSkeleton').name('Show Skeleton').onChange(v => {
-        skeletonGroup.visible = v;
-    });
-    debugFolder.add(debugObj, 'showSegmentation').name('Show Segmentation').onChange(v => {
-        if (segmentationDebugCanvas) {
-            segmentationDebugCanvas.style.display = v ? 'block' : 'none';
+    debugFolder.add(debugViews, 'showOverlay').name('Show Telemetry').listen().onChange(v => setDebugView('showOverlay', v));
+    debugFolder.add(debugViews, 'showSkeleton').name('Show Skeleton').listen().onChange(v => setDebugView('showSkeleton', v));
+    debugFolder.add(debugViews, 'showSegmentation').name('Show Segmentation').listen().onChange(v => setDebugView('showSegmentation', v));
+    debugFolder.add(debugViews, 'showDepth').name('Show Depth').listen().onChange(v => setDebugView('showDepth', v));
+    debugFolder.add(debugViews, 'showFlow').name('Show Flow').listen().onChange(v => setDebugView('showFlow', v));
+    const telemetryObj = {
+        exportJson: () => exportTelemetry('json'),
+        exportCsv: () => exportTelemetry('csv')
+    };
+    debugFolder.add(telemetryObj, 'exportJson').name('Export Telemetry JSON');
+    debugFolder.add(telemetryObj, 'exportCsv').name('Export Telemetry CSV');
+    // Hide the panel by default
+    setDebugView('showOverlay', debugViews.showOverlay);
+}
+
+function setDebugView(name, visible) {
+    debugViews[name] = visible;
+    const display = visible ? 'block' : 'none';
+    if (name === 'showOverlay' && telemetryPanel) telemetryPanel.show(visible);
+    if (name === 'showSkeleton') skeletonGroup.visible = visible || calibrating;
+    if (name === 'showSegmentation' && segmentationDebugCanvas) segmentationDebugCanvas.style.display = display;
+    if (name === 'showDepth' && depthDebugCanvas) depthDebugCanvas.style.display = display;
+    if (name === 'showFlow' && flowDebugCanvas) flowDebugCanvas.style.display = display;
+}
+
+// The overlay shows the whole camera frame and the skeleton where the mapping puts them
+function setCalibrating(value) {
+    calibrating = value;
+    skeletonGroup.visible = calibrating || debugViews.showSkeleton;
+    if (calibrating) log('Calibration: arrows move, +/- scale (Shift for bigger steps), C to finish');
+}
+
+// --- Capture ---
+
+async function toggleVideoRecording() {
+    if (videoCapture) {
+        const capture = videoCapture;
+        videoCapture = null;
+        try {
+            const blob = await capture.stop();
+            downloadBlob(blob, `bubbles-${timestamp()}.webm`);
+            log(`Saved ${capture.duration.toFixed(1)}s video`, 'capture');
+        } catch (error) {
+            log(`Recording failed: ${error.message}`, 'capture', 'error');
+        } finally {
+            releaseRecordingAudio();
+            updateVideoController();
         }
+        return;
+    }
+    if (!isRecordingSupported()) {
+        log('Video recording is not supported in this browser', 'capture', 'warn');
+        return;
+    }
+    try {
+        const audioTracks = CONFIG.recordAudio ? getRecordingAudioTracks() : [];
+        videoCapture = startCanvasRecording(renderer.domElement, { fps: CONFIG.recordFps, audioTracks });
+        updateVideoController();
+        log(`Recording video (${videoCapture.mimeType})...`, 'capture');
+    } catch (error) {
+        releaseRecordingAudio();
+        log(`Could not start recording: ${error.message}`, 'capture', 'error');
+    }
+}
+
+// The hotkey starts and stops recordings too, so the label follows videoCapture
+function updateVideoController() {
+    if (videoController) videoController.name(videoCapture ? 'Stop Recording (R)' : 'Record Video (R)');
+}
+
+// Taps the pop sounds and any playing audio file into a stream for MediaRecorder
+function getRecordingAudioTracks() {
+    popAudio.unlock();
+    const context = popAudio.context;
+    if (!context) return [];
+    const destination = context.createMediaStreamDestination();
+    const sources = [popAudio.output, audioReactive.playbackNode].filter(Boolean);
+    sources.forEach(node => node.connect(destination));
+    recordingAudio = { destination, sources };
+    return destination.stream.getAudioTracks();
+}
+
+function releaseRecordingAudio() {
+    if (!recordingAudio) return;
+    const { destination, sources } = recordingAudio;
+    sources.forEach(node => {
+        // The audio file may have been stopped (and disconnected) mid-recording
+        try {
+            node.disconnect(destination);
+        } catch (error) {}
     });
-    debugFolder.add(debugObj, 'showDepth').name('Show Depth').onChange(v => {
-        if (depthDebugCanvas) {
-            depthDebugCanvas.style.display = v ? 'block' : 'none';
+    destination.stream.getTracks().forEach(track => track.stop());
+    recordingAudio = null;
+}
+
+// Taken right after the next render, while the canvas still holds the frame
+function requestSnapshot() {
+    snapshotRequested = true;
+}
+
+function saveSnapshot() {
+    canvasToPng(renderer.domElement)
+        .then(blob => {
+            downloadBlob(blob, `bubbles-${timestamp()}.png`);
+            log('Saved snapshot', 'capture');
+        })
+        .catch(error => log(`Snapshot failed: ${error.message}`, 'capture', 'error'));
+}
+
+// Renders the session being replayed at a fixed frame rate and size, one PNG per frame.
+// The simulation steps exactly as it would live, just not in real time.
+async function renderOffline() {
+    if (offlineRendering) return;
+    if (!sessionPlayer) {
+        log('Offline render works from a recorded session: replay one first (Session folder)', 'capture', 'warn');
+        return;
+    }
+
+    let directory;
+    try {
+        directory = await pickOutputDirectory();
+    } catch (error) {
+        if (error.name !== 'AbortError') log(error.message, 'capture', 'error');
+        return;
+    }
+
+    const session = sessionPlayer.session;
+    const { renderWidth: width, renderHeight: height, renderFps } = CONFIG;
+    const frameCount = Math.ceil(session.duration * renderFps);
+    const frameTime = 1 / renderFps;
+    offlineRendering = true;
+    setBubbleSegments(bubbleMesh, CONFIG.bubbleSegments);
+    renderer.setPixelRatio(1);
+    composer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    composer.setSize(width, height);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    updateVisibleBounds();
+
+    startReplay(session);
+    sessionPlayer.loop = false;
+    presence.reset();
+    updateAttract(performance.now() / 1000);
+    // Live audio has no place in a repeatable render
+    Object.keys(sim.modulation).forEach(key => sim.modulation[key] = 1);
+    bloomPass.strength = CONFIG.bloomStrength;
+
+    log(`Rendering ${frameCount} frames at ${width}x${height}, ${renderFps} fps...`, 'capture');
+    let stepTime = 0;
+    try {
+        for (let frame = 0; frame < frameCount; frame++) {
+            stepTime += frameTime;
+            while (stepTime >= SIM_STEP - 1e-9) {
+                stepSimulation(SIM_STEP);
+                stepTime -= SIM_STEP;
+            }
+            handlePops(false);
+            splash.update(frameTime);
+            updateBubbleMesh(bubbleMesh, sim.bubbles, getBubbleColor);
+            updateOcclusion();
+            updateCameraFeed();
+            composer.render();
+
+            const blob = await canvasToPng(renderer.domElement);
+            await writeFile(directory, `frame_${String(frame).padStart(5, '0')}.png`, blob);
+            if (frame % renderFps === 0) log(`Rendered ${frame}/${frameCount} frames`, 'capture', 'debug');
         }
+        log(`Offline render done: ${frameCount} frames in ${directory.name}`, 'capture');
+    } catch (error) {
+        log(`Offline render failed: ${error.message}`, 'capture', 'error');
+    } finally {
+        setBubbleSegments(bubbleMesh, qualitySegments());
+        onWindowResize();
+        offlineRendering = false;
+        startReplay(session);
+    }
+}
+
+// --- Kiosk ---
+
+function setupKiosk() {
+    attractPrompt = document.getElementById('attract-prompt');
+    presence.on('attract', () => log('Nobody around, starting the attract loop', 'kiosk'));
+    presence.on('interactive', () => log('Someone stepped in', 'kiosk'));
+
+    onSourceEnded(() => {
+        log('Camera disconnected', 'input', 'warn');
+        scheduleCameraRetry();
     });
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+        navigator.mediaDevices.addEventListener('devicechange', async () => {
+            await refreshCameras();
+            if (currentSource && currentSource.type === 'webcam' && !isSourceLive(video)) scheduleCameraRetry();
+        });
+    }
+
+    setInterval(checkDetectionLoops, WATCHDOG_INTERVAL);
+    setKioskMode(CONFIG.kioskMode);
 }
 
-function createBubbles() {
-    bubbles.forEach(b => scene.remove(b));
-    bubbles = [];
-
-    const geometry = new THREE.SphereGeometry(1, 32, 32);
-    const material = new THREE.MeshPhysicalMaterial({
-        color: CONFIG.bubbleColor,
-        transparent: true,
-        opacity: 0.5,
-        roughness: 0.05,
-        metalness: 0.1,
-        clearcoat: 1.0,
-        clearcoatRoughness: 0.05,
-        transmission: 0.9,
-        ior: 1.33,
-        thickness: 1.0,
-    });
-
-    for (let i = 0; i < CONFIG.bubbleCount; i++) {
-        // Clone material for each bubble so they can fade independently
-        const bubbleMaterial = material.clone();
-        const mesh = new THREE.Mesh(geometry, bubbleMaterial);
-
-        mesh.position.x = (Math.random() - 0.5) * visibleWidth * 1.5;
-        mesh.position.y = (Math.random() - 0.5) * visibleHeight * 1.5;
-        mesh.position.z = (Math.random() - 0.5) * 15;
-
-        const scale = Math.random() * CONFIG.bubbleSize + 0.1;
-        mesh.scale.set(scale, scale, scale);
-
-        const baseTime = Date.now() / 1000;
-        const maxOffset = Math.max(CONFIG.bubbleLifespan, 5);
-        const indexOffset = (i / CONFIG.bubbleCount) * maxOffset;  // Spread evenly across full range
-        const birthRandomOffset = Math.random() * (maxOffset / CONFIG.bubbleCount);  // Add some randomness to each slot
-
-        mesh.userData = {
-            velocityMultiplier: Math.random() * 0.1,  // Store multiplier, not actual velocity
-            initialScale: scale,
-            wobbleSpeed: Math.random() * 3,
-            wobbleOffset: Math.random() * Math.PI * 2,
-            randomOffset: Math.random() * 100,
-            birthTime: baseTime - indexOffset - birthRandomOffset,  // Stagger across full lifespan
-            lifespanMultiplier: 0.5 + Math.random() * 1.0,  // Random 0.5-1.5x multiplier for more variation
-            depth: 0.5  // Default mid-depth, will be updated on spawn
-        };
+function setKioskMode(enabled) {
+    CONFIG.kioskMode = enabled;
+    document.body.classList.toggle('kiosk', enabled);
+    gui.show(!enabled);
+}
+
+// Fades the attract prompt in and out; the simulation picks up the text mask in stepSimulation
+function updateAttract(now) {
+    const present = personTracker.people.some(person => person.visible) || maskPresent;
+    const level = presence.update(now, present, { delay: CONFIG.attractDelay, fade: CONFIG.attractFade });
+    if (attractPrompt) {
+        attractPrompt.style.opacity = level;
+        attractPrompt.style.display = level > 0 ? 'block' : 'none';
+    }
+}
 
-        scene.add(mesh);
-        bubbles.push(mesh);
+// Laid out in source space, so it's rebuilt whenever the mapping changes
+function getAttractMask() {
+    const mapping = sim.getMapping();
+    const key = attractMaskKey;
+    if (!key || key.text !== CONFIG.attractText || key.invert !== CONFIG.invertMask || key.mapping !== mapping) {
+        const height = ATTRACT_MASK_HEIGHT;
+        const width = Math.round(height * mapping.sourceWidth / mapping.sourceHeight);
+        attractMask = createTextMask(CONFIG.attractText, width, height, { mapping, invert: CONFIG.invertMask });
+        attractMaskKey = { text: CONFIG.attractText, invert: CONFIG.invertMask, mapping };
+    }
+    return attractMask;
+}
 
-        // Use proper spawn logic to position bubble initially
-        if (CONFIG.spawnOnBody && segmentationResult && segmentationResult.mask) {
-            respawnBubble(mesh);
+// Keeps retrying the webcam until it comes back (or another source is picked)
+function scheduleCameraRetry() {
+    if (cameraRetryTimer) return;
+    cameraRetryTimer = setTimeout(async () => {
+        cameraRetryTimer = null;
+        if (!currentSource || currentSource.type !== 'webcam' || isSourceLive(video)) return;
+
+        await refreshCameras();
+        const index = Math.max(0, availableCameras.findIndex(cam => cam.deviceId === currentSource.deviceId));
+        const camera = availableCameras[index];
+        if (!camera) {
+            scheduleCameraRetry();
+            return;
+        }
+        log(`Reconnecting to ${camera.label || `camera ${index}`}...`, 'input');
+        currentCameraIndex = index;
+        const started = await useSource({ type: 'webcam', deviceId: camera.deviceId, label: camera.label });
+        if (!started) scheduleCameraRetry();
+    }, CAMERA_RETRY_DELAY);
+}
+
+// Restarts detection loops that have gone quiet while the video is still playing
+function checkDetectionLoops() {
+    if (!CONFIG.watchdogTimeout || sessionPlayer) return;
+    if (!video || video.readyState < 2 || video.paused) return;
+
+    const now = performance.now() / 1000;
+    watchdog.stalled(now, CONFIG.watchdogTimeout).forEach(name => {
+        if (!detectors || !detectors.isRunning(name)) return;
+        log(`${name} stopped delivering results, restarting detection`, 'detect', 'warn');
+        detectors.start(name, video);
+        watchdog.beat(name, now);
+    });
+}
+
+// --- Remote Control ---
+// Protocol is documented in remoteControl.js
+
+const REMOTE_DEBUG_VIEWS = {
+    logs: 'showOverlay',
+    skeleton: 'showSkeleton',
+    segmentation: 'showSegmentation',
+    depth: 'showDepth',
+    flow: 'showFlow'
+};
+
+function setupRemote() {
+    remote.on('open', url => {
+        log(`Remote control connected to ${url}`, 'remote');
+        remote.send({ type: 'hello', app: 'coke-bubbles', protocol: REMOTE_PROTOCOL_VERSION, presets: listPresets() });
+        sendStatus();
+    });
+    remote.on('close', url => log(`Remote control lost ${url}, reconnecting...`, 'remote', 'warn'));
+    remote.on('error', message => log(message, 'remote', 'error'));
+    remote.on('command', ({ message, reply }) => {
+        try {
+            handleRemoteCommand(message);
+            reply();
+        } catch (error) {
+            log(`Remote command "${message.type}" failed: ${error.message}`, 'remote', 'error');
+            reply(error.message);
+        }
+    });
+    setInterval(() => {
+        if (remote.state === 'connected') sendStatus();
+    }, REMOTE_STATUS_INTERVAL);
+
+    const endpoint = new URLSearchParams(window.location.search).get('remote');
+    if (endpoint) remote.connect(endpoint);
+}
+
+function handleRemoteCommand(message) {
+    switch (message.type) {
+        case 'set': {
+            const values = message.values || pathToValues(String(message.key), message.value);
+            const changed = useConfig(values);
+            if (message.key && !changed.length && getConfigValue(message.key) !== message.value) {
+                throw new Error(`Unknown key or wrong type: ${message.key}`);
+            }
+            break;
+        }
+        case 'burst': {
+            const x = message.x ?? 0.5;
+            const y = message.y ?? 0.5;
+            sim.burst({
+                x: (x - 0.5) * visibleWidth,
+                y: (0.5 - y) * visibleHeight,
+                count: message.count ?? CONFIG.gestureBurst
+            });
+            break;
+        }
+        case 'preset': {
+            const values = loadPreset(message.name);
+            if (!values) throw new Error(`No preset named "${message.name}"`);
+            useConfig(values);
+            log(`Remote loaded preset "${message.name}"`, 'config');
+            break;
+        }
+        case 'reset':
+            useConfig(DEFAULT_CONFIG);
+            break;
+        case 'camera': {
+            if (!availableCameras.length) throw new Error('No cameras available');
+            const index = message.next ? (currentCameraIndex + 1) % availableCameras.length : message.index;
+            if (!Number.isInteger(index) || index < 0 || index >= availableCameras.length) {
+                throw new Error(`Camera index out of range: ${message.index}`);
+            }
+            currentCameraIndex = index;
+            switchToCamera(index);
+            break;
+        }
+        case 'debug': {
+            const name = REMOTE_DEBUG_VIEWS[message.view];
+            if (!name) throw new Error(`Unknown debug view: ${message.view}`);
+            setDebugView(name, message.visible ?? !debugViews[name]);
+            break;
         }
+        case 'status':
+            sendStatus();
+            break;
+        case 'ping':
+            remote.send({ type: 'pong' });
+            break;
+        default:
+            throw new Error(`Unknown command: ${message.type}`);
+    }
+}
+
+function getConfigValue(path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), CONFIG);
+}
+
+function sendStatus() {
+    remote.send({
+        type: 'status',
+        fps: Math.round(fps * 10) / 10,
+        people: personTracker.people.filter(person => person.visible).length,
+        detectors: detectors ? detectors.name : null,
+        models: detectors ? detectors.states() : {},
+        source: currentSource ? currentSource.type : null,
+        replaying: Boolean(sessionPlayer),
+        quality: governor.tier.name,
+        time: Math.round(sim.time * 100) / 100
+    });
+}
+
+// ?preset=Name first, then individual keys from the query string
+function applyStartupConfig() {
+    const params = new URLSearchParams(window.location.search);
+    const presetName = params.get('preset');
+    if (presetName) {
+        const values = loadPreset(presetName);
+        if (values) applyConfig(CONFIG, values);
+        else log(`No saved preset named "${presetName}"`, 'config', 'warn');
+    }
+    applyConfig(CONFIG, parseConfigParams(window.location.search, CONFIG));
+    popAudio.setVolume(CONFIG.soundVolume);
+    popAudio.setMuted(CONFIG.soundMuted);
+}
+
+// Applies settings at runtime and pushes them to everything that copied a value out of CONFIG
+function useConfig(values) {
+    const changed = applyConfig(CONFIG, values);
+    if (!changed.length) return changed;
+
+    gui.controllersRecursive().forEach(controller => controller.updateDisplay());
+    scene.background.set(CONFIG.cokeRed);
+    scene.fog.color.set(CONFIG.cokeRed);
+    bloomPass.radius = CONFIG.bloomRadius;
+    bloomPass.threshold = CONFIG.bloomThreshold;
+    gestureRecognizer.enabled = CONFIG.gesturesEnabled;
+    popAudio.setVolume(CONFIG.soundVolume);
+    popAudio.setMuted(CONFIG.soundMuted);
+    audioReactive.gain = CONFIG.audioGain;
+
+    const frameKeys = ['frameMode', 'outputWidth', 'outputHeight', 'letterboxColor', 'showSafeArea', 'safeAreaMargin'];
+    if (changed.some(key => frameKeys.includes(key))) {
+        onWindowResize();
+    }
+    if (changed.some(key => ['bubbleCount', 'bubbleSize', 'bubbleSegments'].includes(key))) {
+        createBubbles();
+    }
+    if (changed.includes('governorTargetFps')) {
+        applyDetectorIntervals();
+    }
+    if (changed.includes('kioskMode')) {
+        setKioskMode(CONFIG.kioskMode);
+    }
+    if (changed.includes('detectorProvider')) {
+        switchDetectors();
+    } else if (changed.includes('handsEnabled')) {
+        updateHandDetection();
+    }
+    return changed;
+}
+
+function setPaused(value) {
+    paused = value;
+    log(paused ? 'Simulation paused' : 'Simulation resumed');
+}
+
+function stepOnce() {
+    if (!paused) setPaused(true);
+    pendingSteps++;
+}
+
+function onKeyDown(e) {
+    if (e.target instanceof HTMLInputElement) return;
+
+    if (e.code === 'Space' || e.key === 'p') {
+        e.preventDefault();
+        setPaused(!paused);
+    } else if (e.key === 's') {
+        requestSnapshot();
+    } else if (e.key === 'r') {
+        toggleVideoRecording();
+    } else if (e.key === 'K') {
+        setKioskMode(!CONFIG.kioskMode);
+    } else if (e.key === 'c') {
+        setCalibrating(!calibrating);
+    } else if (calibrating && e.key.startsWith('Arrow')) {
+        e.preventDefault();
+        const step = e.shiftKey ? 0.05 : 0.005;
+        const { offsetX, offsetY } = CONFIG.mapping;
+        if (e.key === 'ArrowLeft') CONFIG.mapping.offsetX = offsetX - step;
+        if (e.key === 'ArrowRight') CONFIG.mapping.offsetX = offsetX + step;
+        if (e.key === 'ArrowUp') CONFIG.mapping.offsetY = offsetY + step;
+        if (e.key === 'ArrowDown') CONFIG.mapping.offsetY = offsetY - step;
+    } else if (calibrating && (e.key === '=' || e.key === '+' || e.key === '-' || e.key === '_')) {
+        const factor = e.shiftKey ? 1.1 : 1.01;
+        const grow = e.key === '=' || e.key === '+';
+        CONFIG.mapping.scale = Math.min(4, Math.max(0.25, CONFIG.mapping.scale * (grow ? factor : 1 / factor)));
+    } else if (e.key === '.') {
+        stepOnce();
+    } else if (e.key === '[') {
+        CONFIG.timeScale = Math.max(0.05, CONFIG.timeScale / 2);
+    } else if (e.key === ']') {
+        // From a standstill (the slider goes down to 0) start back at the smallest step
+        CONFIG.timeScale = Math.min(4, Math.max(0.05, CONFIG.timeScale * 2));
+    }
+}
+
+function createBubbles() {
+    if (bubbleMesh) {
+        scene.remove(bubbleMesh);
+        disposeBubbleMesh(bubbleMesh);
+    }
+
+    // Sized for the full count; the governor may use fewer
+    bubbleMesh = createBubbleMesh(CONFIG.bubbleCount, {
+        segments: qualitySegments()
+    });
+    scene.add(bubbleMesh);
+
+    sim.reset();
+    updateBubbleMesh(bubbleMesh, sim.bubbles, getBubbleColor);
+}
+
+function getBubbleColor(owner) {
+    const style = sim.getStyle(owner);
+    if (!style) return defaultBubbleColor.set(CONFIG.bubbleColor);
+    if (!personColors[owner]) personColors[owner] = new THREE.Color();
+    return personColors[owner].set(style.color);
+}
+
+function setupGestures() {
+    gestureRecognizer.enabled = CONFIG.gesturesEnabled;
+    gestureRecognizer.on('gesture', event => {
+        log(`Gesture: ${event.name} (person ${event.personId})`, 'people');
+        if (event.name === CONFIG.snapshotGesture) requestSnapshot();
+    });
+
+    gestureRecognizer.on('handsUp', event => {
+        const point = gestureToWorld(event);
+        sim.burst({ x: point.x, y: point.y, count: CONFIG.gestureBurst, spread: 4, speed: 10, owner: event.slot });
+    });
+    gestureRecognizer.on('armsSpread', event => {
+        const point = gestureToWorld(event);
+        sim.push({ x: point.x, y: point.y, strength: CONFIG.gesturePush, radius: Math.max(visibleWidth, visibleHeight) });
+    });
+    gestureRecognizer.on('clap', event => {
+        const point = gestureToWorld(event);
+        sim.popNear({ x: point.x, y: point.y, radius: CONFIG.clapRadius });
+    });
+}
+
+function gestureToWorld(event) {
+    const { width, height } = getSourceSize();
+    return sim.sourceToWorld(event.position.x, event.position.y, width, height);
+}
+
+function onPersonEnter(person) {
+    log(`Person ${person.id} stepped in`, 'people');
+    if (CONFIG.enterBurst > 0) {
+        const { width, height } = getSourceSize();
+        const { u, v } = person.centroid;
+        const center = sim.sourceToWorld(u * width, v * height);
+        sim.burst({ x: center.x, y: center.y, count: CONFIG.enterBurst, spread: 3, owner: person.slot });
     }
 }
 
 // --- Debug ---
-const debugOverlay = document.getElementById('debug-overlay');
-function log(msg) {
-    console.log(msg);
-    if (debugOverlay) {
-        debugOverlay.innerHTML += `<div>${msg}</div>`;
+
+// level: debug | info | warn | error; everything lands in the telemetry log (see telemetry.js),
+// the console only echoes info and up
+function log(msg, category = 'app', level = 'info') {
+    if (level !== 'debug') {
+        const print = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+        print(`[${category}] ${msg}`);
     }
+    telemetry.log(level, category, msg);
+}
+
+function exportTelemetry(format) {
+    const blob = telemetry.exportBlob(format, {
+        userAgent: navigator.userAgent,
+        fps: Math.round(fps * 10) / 10,
+        quality: governor.tier.name,
+        detectors: detectors ? detectors.name : null,
+        models: detectors ? detectors.states() : {},
+        source: currentSource ? currentSource.type : null,
+        config: snapshotConfig(CONFIG)
+    });
+    downloadBlob(blob, `bubbles-telemetry-${timestamp()}.${format}`);
 }
 
 async function switchToCamera(cameraIndex) {
     if (!availableCameras.length) {
-        log('No cameras available');
+        log('No cameras available', 'input', 'warn');
         return;
     }
 
-    log(`Switching to camera ${cameraIndex}: ${availableCameras[cameraIndex].label || 'Unknown'}`);
+    log(`Switching to camera ${cameraIndex}: ${availableCameras[cameraIndex].label || 'Unknown'}`, 'input');
 
-    // Stop current stream
-    if (video && video.srcObject) {
-        video.srcObject.getTracks().forEach(track => track.stop());
-    }
+    await useSource({
+        type: 'webcam',
+        deviceId: availableCameras[cameraIndex].deviceId,
+        label: availableCameras[cameraIndex].label || `Camera ${cameraIndex}`
+    });
+}
 
+async function useSource(source) {
     try {
-        const constraints = {
-            video: { deviceId: { exact: availableCameras[cameraIndex].deviceId } }
-        };
-        const stream = await navigator.mediaDevices.getUserMedia(constraints);
-        video.srcObject = stream;
-
-        await new Promise((resolve) => {
-            video.onloadedmetadata = () => {
-                video.play();
-                resolve();
-            };
-        });
+        await startSource(video, source);
+        currentSource = source;
+        CONFIG.inputSource = source.type;
+        log(`Now using ${source.type}: ${source.label || 'default'} (${video.videoWidth}x${video.videoHeight})`, 'input');
+        return true;
+    } catch (err) {
+        log(`Error starting ${source.type}: ${err.message}`, 'input', 'error');
+        // The failed start already stopped the old source, so bring it back
+        if (currentSource && currentSource !== source) {
+            try {
+                await startSource(video, currentSource);
+                log(`Back to ${currentSource.type}: ${currentSource.label || 'default'}`, 'input');
+            } catch (restartError) {
+                log(`Could not restart ${currentSource.type}: ${restartError.message}`, 'input', 'error');
+                currentSource = null;
+            }
+        }
+        CONFIG.inputSource = currentSource ? currentSource.type : source.type;
+        return false;
+    }
+}
 
-        log(`Now using: ${availableCameras[cameraIndex].label || `Camera ${cameraIndex}`}`);
+// Points the Source dropdown back at what's actually playing
+function showCurrentSource() {
+    if (currentSource) CONFIG.inputSource = currentSource.type;
+}
+
+function startReplay(session) {
+    stopDetection();
+    sessionPlayer = createSessionPlayer(session, {
+        pose: gotPoses,
+        hands: gotHands,
+        mask: gotSegmentation,
+        depth: gotDepth,
+        flow: gotFlow
+    }, { loop: loopReplay });
+    // Same seed, same clock and same inputs give the same bubbles on every replay
+    personTracker.reset();
+    gestureRecognizer.reset();
+    depthSmoother.reset();
+    depthMap = null;
+    setFlowField(null);
+    sim.reset(CONFIG.seed);
+    accumulator = 0;
+    log(`Replaying session: ${session.events.length} results, ${session.duration.toFixed(1)}s`, 'session');
+}
+
+function stopReplay() {
+    if (!sessionPlayer) return;
+    sessionPlayer = null;
+    poses = [];
+    hands = [];
+    setFlowField(null);
+    log('Replay stopped, back to live detection', 'session');
+    if (detectors) {
+        startDetection();
+    } else {
+        setupDetectors();
+    }
+}
+
+async function replayFile(file) {
+    try {
+        startReplay(await loadSession(file));
     } catch (err) {
-        console.error('Error switching camera:', err);
-        log(`Error switching camera: ${err.message}`);
+        log(`Error loading session: ${err.message}`, 'session', 'error');
+    }
+}
+
+// Pixel size of whatever the poses and masks were computed on
+function getSourceSize() {
+    if (sessionPlayer) {
+        return { width: sessionPlayer.session.width, height: sessionPlayer.session.height };
     }
+    if (detectors && detectors.sourceSize) return { ...detectors.sourceSize };
+    return { width: video.videoWidth, height: video.videoHeight };
 }
 
-async function setupML5() {
-    log('Setting up ML5...');
+function setupDragAndDrop() {
+    fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'video/*,image/*';
+    fileInput.multiple = true;
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+        useFiles(fileInput.files);
+        fileInput.value = '';
+    });
+    fileInput.addEventListener('cancel', showCurrentSource);
+    document.body.appendChild(fileInput);
+
+    audioFileInput = document.createElement('input');
+    audioFileInput.type = 'file';
+    audioFileInput.accept = 'audio/*';
+    audioFileInput.style.display = 'none';
+    audioFileInput.addEventListener('change', () => {
+        const file = audioFileInput.files[0];
+        if (file) startAudio(() => audioReactive.startFile(file));
+        audioFileInput.value = '';
+    });
+    document.body.appendChild(audioFileInput);
+
+    presetFileInput = document.createElement('input');
+    presetFileInput.type = 'file';
+    presetFileInput.accept = '.json,application/json';
+    presetFileInput.style.display = 'none';
+    presetFileInput.addEventListener('change', async () => {
+        const file = presetFileInput.files[0];
+        presetFileInput.value = '';
+        if (file) importConfigFile(file);
+    });
+    document.body.appendChild(presetFileInput);
+
+    sessionFileInput = document.createElement('input');
+    sessionFileInput.type = 'file';
+    sessionFileInput.accept = '.json,application/json';
+    sessionFileInput.style.display = 'none';
+    sessionFileInput.addEventListener('change', () => {
+        if (sessionFileInput.files[0]) replayFile(sessionFileInput.files[0]);
+        sessionFileInput.value = '';
+    });
+    document.body.appendChild(sessionFileInput);
+
+    window.addEventListener('dragover', e => e.preventDefault());
+    window.addEventListener('drop', e => {
+        e.preventDefault();
+        useFiles(e.dataTransfer.files);
+    });
+}
+
+async function importConfigFile(file) {
+    try {
+        useConfig(await importConfig(file));
+        log(`Imported settings from ${file.name}`, 'config');
+    } catch (error) {
+        log(`Could not import settings: ${error.message}`, 'config', 'error');
+    }
+}
+
+// A dropped .json is either a recorded session or exported settings
+async function openJsonFile(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        log(`Could not read ${file.name}: ${error.message}`, 'input', 'error');
+        return;
+    }
+    if (isSession(data)) startReplay(data);
+    else importConfigFile(file);
+}
+
+function useFiles(files) {
+    const jsonFile = Array.from(files).find(file => file.name.endsWith('.json'));
+    if (jsonFile) {
+        openJsonFile(jsonFile);
+        return;
+    }
+    const audioFile = Array.from(files).find(file => file.type.startsWith('audio/'));
+    if (audioFile) {
+        startAudio(() => audioReactive.startFile(audioFile));
+        return;
+    }
+
+    const source = filesToSource(files);
+    if (!source) {
+        log('Drop a video file or a set of numbered images', 'input', 'warn');
+        showCurrentSource();
+        return;
+    }
+    if (source.type === 'sequence') source.fps = CONFIG.sequenceFps;
+    useSource(source);
+}
 
+function createVideo() {
     video = document.createElement('video');
     video.style.display = 'none';
     video.width = 640;
     video.height = 480;
     video.setAttribute('playsinline', '');
     document.body.appendChild(video);
+}
 
-    // Enumerate available cameras
+// Enumerate available cameras
+async function refreshCameras() {
     try {
         const devices = await navigator.mediaDevices.enumerateDevices();
         const validCameras = devices.filter(
@@ -314,279 +1502,245 @@ async function setupML5() {
               (!device.label.match(/hdmi/i) && !device.label.match(/real/i)))
         );
         availableCameras = validCameras;
-        log(`Found ${availableCameras.length} camera(s)`);
+        log(`Found ${availableCameras.length} camera(s)`, 'input');
         availableCameras.forEach((cam, i) => {
-            log(`  ${i}: ${cam.label || `Camera ${i}`}`);
+            log(`  ${i}: ${cam.label || `Camera ${i}`}`, 'input', 'debug');
         });
     } catch (err) {
-        console.error('Error enumerating devices:', err);
+        log(`Error enumerating devices: ${err.message}`, 'input', 'error');
     }
+}
 
-    try {
-        log('Requesting webcam access...');
-        const constraints = availableCameras.length > 0 && availableCameras[currentCameraIndex].deviceId
-            ? { video: { deviceId: { exact: availableCameras[currentCameraIndex].deviceId } } }
-            : { video: { facingMode: 'user' } };
-
-        const stream = await navigator.mediaDevices.getUserMedia(constraints);
-        video.srcObject = stream;
-
-        await new Promise((resolve) => {
-            video.onloadedmetadata = () => {
-                log(`Video metadata: ${video.videoWidth}x${video.videoHeight}`);
-                video.play();
-            };
-            video.onplaying = () => {
-                log('Video is playing!');
-                resolve();
-            };
-        });
+// --- Detection ---
+
+function createDetectors(type) {
+    if (type === 'mock') return createMockProvider({ getScript: () => CONFIG.mockScript });
+    return createMl5Provider({
+        options: {
+            bodyPose: {
+                modelType: "MULTIPOSE_LIGHTNING",
+                enableSmoothing: true,
+                enableTracking: true,  // stable pose ids for the person tracker
+            },
+            segmentation: { maskType: "person" },
+            depth: { filterType: 'person' },
+            hands: () => ({ maxHands: CONFIG.maxHands, flipped: false })
+        }
+    });
+}
 
-    } catch (err) {
-        console.error('Error accessing webcam:', err);
-        log(`Error: ${err.message}`);
-        alert('Webcam access denied or not available. Bubbles will still float!');
-        return;
-    }
+const DETECTOR_CALLBACKS = {
+    bodyPose: results => gotPoses(results),
+    segmentation: result => gotSegmentation(result),
+    depth: result => gotDepth(result),
+    hands: results => gotHands(results)
+};
 
-    // Initialize BodyPose
-    log('Loading ML5 BodyPose...');
-    if (typeof ml5 === 'undefined') {
-        log('Error: ml5 is not defined.');
-        return;
-    }
+async function setupDetectors() {
+    const type = CONFIG.detectorProvider === 'mock' ? 'mock' : 'ml5';
+    log(`Setting up ${type} detectors...`, 'detect');
+    detectors = createDetectors(type);
+    applyDetectorIntervals();
+    const provider = detectors;
+    provider.on('result', ({ name, result, latency }) => {
+        if (provider !== detectors || sessionPlayer) return;
+        if (latency !== null) telemetry.record(name, latency * 1000);
+        DETECTOR_CALLBACKS[name](result);
+    });
+    provider.on('state', ({ name, state, error }) => {
+        if (state === 'ready') log(`${name} loaded`, 'detect');
+        else if (state === 'error') log(`Error loading ${name}: ${error}`, 'detect', 'error');
+    });
+    provider.on('error', ({ name, error }) => log(`${name} detection failed: ${error}`, 'detect', 'warn'));
 
-    const options = {
-        modelType: "MULTIPOSE_LIGHTNING",
-        enableSmoothing: true,
-    };
+    // The mock doesn't need a camera, but a source from the URL still shows behind it
+    const requestedSource = parseSourceParams(window.location.search);
+    if (!currentSource && (type === 'ml5' || requestedSource)) await startInputSource(requestedSource);
 
-    try {
-        bodyPose = ml5.bodyPose(video, options, modelLoaded);
-    } catch (e) {
-        log(`Error initializing bodyPose: ${e.message}`);
-    }
+    DETECTOR_NAMES.filter(wantsDetector).forEach(name => loadDetector(provider, name));
+}
 
-    // Initialize BodySegmentation
-    log('Loading BodySegmentation...');
-    try {
-        bodySegmentation = ml5.bodySegmentation(video, { maskType: "person" }, segmentationLoaded);
-    } catch (e) {
-        log(`Error init segmentation: ${e.message}`);
+// A source from the URL (?source=video&src=...) wins over the webcam
+async function startInputSource(requestedSource) {
+    await refreshCameras();
+
+    let started = false;
+    if (requestedSource && requestedSource.type !== 'webcam') {
+        started = await useSource(requestedSource);
+    } else {
+        if (requestedSource && requestedSource.camera < availableCameras.length) {
+            currentCameraIndex = requestedSource.camera;
+        }
+        log('Requesting webcam access...', 'input');
+        const camera = availableCameras[currentCameraIndex];
+        started = await useSource({
+            type: 'webcam',
+            deviceId: camera ? camera.deviceId : undefined,
+            label: camera ? camera.label : undefined
+        });
     }
 
-    // Initialize Depth Estimation
-    log('Loading Depth Estimation...');
-    try {
-        depthEstimation = ml5.depthEstimation(video, { filterType: 'person' }, depthLoaded);
-    } catch (e) {
-        log(`Error init depth estimation: ${e.message}`);
+    // The models still start without a source; they pick up whatever gets dropped in later
+    if (!started) {
+        log('No input source. Drop a video file or image sequence onto the page, or pick one in the Input folder.', 'input', 'warn');
     }
 }
 
-function modelLoaded(model) {
-    log('BodyPose Loaded!');
-    if (model) bodyPose = model;
-    if (typeof bodyPose.detectStart === 'function') {
-        bodyPose.detectStart(video, gotPoses);
-    } else if (typeof bodyPose.detect === 'function') {
-        detectLoop();
-    }
+// Hands only load once someone wants them
+function wantsDetector(name) {
+    return name !== 'hands' || CONFIG.handsEnabled;
 }
 
-function segmentationLoaded(model) {
-    log('Segmentation Loaded!');
-    if (model) bodySegmentation = model;  // Update the global with the actual model
-    console.log('Segmentation model:', bodySegmentation);
-    console.log('Has detectStart?', typeof bodySegmentation.detectStart);
-    console.log('Available methods:', Object.keys(bodySegmentation));
+async function loadDetector(provider, name) {
+    log(`Loading ${name}...`, 'detect');
+    const loaded = await provider.load(name);
+    // Detection starts when a replay stops, or not at all if the provider was swapped meanwhile
+    if (loaded && provider === detectors && !sessionPlayer && wantsDetector(name)) provider.start(name, video);
+}
 
-    if (bodySegmentation && typeof bodySegmentation.detectStart === 'function') {
-        console.log('Starting segmentation detection...');
-        bodySegmentation.detectStart(video, gotSegmentation);
-    } else {
-        console.warn('detectStart not available on bodySegmentation!');
+function updateHandDetection() {
+    if (!detectors) return;
+    if (!CONFIG.handsEnabled) {
+        detectors.stop('hands');
+        watchdog.forget('hands');
+        hands = [];
+    } else if (!detectors.isRunning('hands')) {
+        loadDetector(detectors, 'hands');
     }
 }
 
-function depthLoaded(model) {
-    log('Depth Estimation Loaded!');
-    if (model) depthEstimation = model;
-    console.log('Depth model:', depthEstimation);
-    console.log('Has detectStart?', typeof depthEstimation.detectStart);
-    console.log('Available methods:', Object.keys(depthEstimation));
+// Swaps providers; the old one's loaded models stay in memory but stop running
+function switchDetectors() {
+    if (!detectors || detectors.name === CONFIG.detectorProvider) return;
+    stopDetection();
+    poses = [];
+    hands = [];
+    setupDetectors();
+}
 
-    if (depthEstimation && typeof depthEstimation.detectStart === 'function') {
-        console.log('Starting depth detection...');
-        depthEstimation.detectStart(video, gotDepth);
-    } else {
-        console.warn('detectStart not available on depthEstimation!');
-    }
+// Restarts detection on detectors that have already loaded (e.g. after a replay ends)
+function startDetection() {
+    DETECTOR_NAMES.forEach(name => {
+        if (detectors.isReady(name) && wantsDetector(name)) detectors.start(name, video);
+    });
+}
+
+function stopDetection() {
+    if (detectors) detectors.stopAll();
+    DETECTOR_NAMES.forEach(name => watchdog.forget(name));
 }
 
 function gotSegmentation(result) {
+    const started = performance.now();
     segmentationResult = result;
-
-    // Debug: Log segmentation data occasionally
-    if (result && result.mask && Math.random() < 0.02) {
-        const mask = result.mask;
-        const data = mask.data;
-
-        // Count person pixels in different ways
-        let redCount = 0, greenCount = 0, blueCount = 0, alphaCount = 0, anyCount = 0;
-        let samplePixels = [];
-
-        for (let i = 0; i < data.length; i += 4) {
-            if (data[i] > 127) redCount++;
-            if (data[i+1] > 127) greenCount++;
-            if (data[i+2] > 127) blueCount++;
-            if (data[i+3] > 127) alphaCount++;
-            if (data[i] > 127 || data[i+1] > 127 || data[i+2] > 127 || data[i+3] > 127) anyCount++;
-
-            // Sample first 10 pixels
-            if (i < 40) {
-                samplePixels.push({r: data[i], g: data[i+1], b: data[i+2], a: data[i+3]});
-            }
-        }
-        const totalPixels = (mask.width * mask.height);
-
-        console.log('🎭 Segmentation Update:', {
-            maskSize: `${mask.width}x${mask.height}`,
-            redChannel: redCount,
-            greenChannel: greenCount,
-            blueChannel: blueCount,
-            alphaChannel: alphaCount,
-            anyChannel: anyCount,
-            totalPixels: totalPixels,
-            samplePixels: samplePixels,
-            hasData: !!data
-        });
+    recorder.record('mask', result);
+    watchdog.beat('segmentation', performance.now() / 1000);
+    cameraFeed.setMask(result ? result.mask : null);
+    if (result && result.mask) {
+        // A mask that's nearly all one way means nobody is there, whichever way round it is
+        const coverage = maskCoverage(result.mask);
+        const present = coverage > 0.01 && coverage < 0.95;
+        if (present !== maskPresent) log(`Mask ${present ? 'shows someone' : 'is empty'} (coverage ${coverage.toFixed(2)})`, 'detect', 'debug');
+        maskPresent = present;
     }
 
-    if (segmentationDebugCanvas && segmentationDebugCanvas.style.display !== 'none' && result && result.mask) {
-        const ctx = segmentationDebugCanvas.getContext('2d');
-
-        // Set canvas size to match video
-        if (segmentationDebugCanvas.width !== video.videoWidth) {
-            segmentationDebugCanvas.width = video.videoWidth;
-            segmentationDebugCanvas.height = video.videoHeight;
-            console.log('Canvas resized to:', video.videoWidth, 'x', video.videoHeight);
-        }
-
-        // Clear the canvas first
-        ctx.clearRect(0, 0, segmentationDebugCanvas.width, segmentationDebugCanvas.height);
-
-        // Create a temporary canvas to hold the mask
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = video.videoWidth;
-        tempCanvas.height = video.videoHeight;
-        const tempCtx = tempCanvas.getContext('2d');
-
-        // Draw the mask to temp canvas
-        if (result.mask instanceof ImageData) {
-            tempCtx.putImageData(result.mask, 0, 0);
-        } else if (result.mask.data) {
-            const imageData = new ImageData(
-                new Uint8ClampedArray(result.mask.data),
-                result.mask.width,
-                result.mask.height
-            );
-            tempCtx.putImageData(imageData, 0, 0);
-        }
-
-        // Now draw the temp canvas to the main canvas with mirroring
-        ctx.save();
-        ctx.scale(-1, 1);
-        ctx.drawImage(tempCanvas, -segmentationDebugCanvas.width, 0);
-        ctx.restore();
+    if (segmentationDebugCanvas.style.display !== 'none' && result && result.mask) {
+        drawDebugImage(segmentationDebugCanvas, result.mask);
     }
+    telemetry.record('mask', performance.now() - started);
 }
 
 function gotDepth(result) {
-    depthResult = result;
-
-    // Debug: Log depth data structure occasionally
-    if (result && Math.random() < 0.05) {
-        console.log('📏 Depth Result:', {
-            hasDepth: !!result.depth,
-            depthType: result.depth ? typeof result.depth : 'none',
-            isImageData: result.depth instanceof ImageData,
-            keys: result.depth ? Object.keys(result.depth) : [],
-            width: result.depth?.width,
-            height: result.depth?.height,
-            hasData: !!(result.depth?.data)
-        });
-    }
+    const started = performance.now();
+    const depth = normalizeDepth(result);
+    recorder.record('depth', { depth });
+    watchdog.beat('depth', performance.now() / 1000);
+    depthMap = depthSmoother.update(depth, CONFIG.depthSmoothing);
 
     // Debug: Visualize depth map
-    if (depthDebugCanvas && depthDebugCanvas.style.display !== 'none' && result && result.depth) {
-        const ctx = depthDebugCanvas.getContext('2d');
-
-        // Set canvas size to match video
-        if (depthDebugCanvas.width !== video.videoWidth) {
-            depthDebugCanvas.width = video.videoWidth;
-            depthDebugCanvas.height = video.videoHeight;
-            console.log('Depth canvas resized to:', video.videoWidth, 'x', video.videoHeight);
-        }
-
-        // Clear canvas first
-        ctx.clearRect(0, 0, depthDebugCanvas.width, depthDebugCanvas.height);
-
-        // Create temp canvas for the depth image
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = video.videoWidth;
-        tempCanvas.height = video.videoHeight;
-        const tempCtx = tempCanvas.getContext('2d');
-
-        // Draw depth image (ML5 provides it in different formats)
-        if (result.depth instanceof ImageData) {
-            tempCtx.putImageData(result.depth, 0, 0);
-        } else if (result.depth.data) {
-            // Create ImageData from raw data
-            const imageData = new ImageData(
-                new Uint8ClampedArray(result.depth.data),
-                result.depth.width,
-                result.depth.height
-            );
-            tempCtx.putImageData(imageData, 0, 0);
-        }
-
-        // Mirror horizontally
-        ctx.save();
-        ctx.scale(-1, 1);
-        ctx.drawImage(tempCanvas, -depthDebugCanvas.width, 0);
-        ctx.restore();
+    if (depthDebugCanvas.style.display !== 'none' && depthMap) {
+        drawDebugImage(depthDebugCanvas, depthMap);
     }
+    telemetry.record('depthMap', performance.now() - started);
 }
 
-function detectLoop() {
-    if (video && video.readyState >= 2 && bodyPose && typeof bodyPose.detect === 'function') {
-        bodyPose.detect(video, (results) => {
-            gotPoses(results);
-            requestAnimationFrame(detectLoop);
-        });
-    } else {
-        requestAnimationFrame(detectLoop);
+// Draws a mask or depth image where the mapping puts it in the output frame
+const debugScratch = document.createElement('canvas');
+function drawDebugImage(canvas, image) {
+    if (debugScratch.width !== image.width || debugScratch.height !== image.height) {
+        debugScratch.width = image.width;
+        debugScratch.height = image.height;
     }
+    const pixels = image instanceof ImageData
+        ? image
+        : new ImageData(new Uint8ClampedArray(image.data), image.width, image.height);
+    debugScratch.getContext('2d').putImageData(pixels, 0, 0);
+
+    // Source pixels -> normalised source -> world -> canvas pixels, as one canvas transform
+    const m = sim.getMapping().matrix;
+    const kx = canvas.width / visibleWidth;
+    const ky = -canvas.height / visibleHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.setTransform(
+        kx * m[0] / image.width, ky * m[3] / image.width,
+        kx * m[1] / image.height, ky * m[4] / image.height,
+        kx * m[2] + canvas.width / 2, ky * m[5] + canvas.height / 2
+    );
+    ctx.drawImage(debugScratch, 0, 0);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
 }
 
 function gotPoses(results) {
+    if (results.length !== poses.length) log(`Poses: ${results.length}`, 'detect', 'debug');
     poses = results;
-    if (debugOverlay && Math.random() < 0.05) {
-        const lastChild = debugOverlay.lastElementChild;
-        if (lastChild && lastChild.textContent.startsWith('Poses:')) {
-            lastChild.textContent = `Poses: ${results.length} `;
-        } else {
-            debugOverlay.innerHTML += `< div > Poses: ${results.length}</div > `;
-        }
-    }
+    recorder.record('pose', results);
+    watchdog.beat('bodyPose', performance.now() / 1000);
+
+    const { width, height } = getSourceSize();
+    personTracker.update(results, sim.time, width, height);
+    gestureRecognizer.update(personTracker.people, sim.time);
+}
+
+function gotHands(results) {
+    hands = results || [];
+    recorder.record('hands', hands);
+    watchdog.beat('hands', performance.now() / 1000);
 }
 
+// Sizes the render to the output frame and fits the canvas (and overlays) into the window
 function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
+    const fixed = CONFIG.frameMode === 'fixed';
+    const width = fixed ? CONFIG.outputWidth : window.innerWidth;
+    const height = fixed ? CONFIG.outputHeight : window.innerHeight;
+    const pixelRatio = (fixed ? 1 : Math.min(window.devicePixelRatio, 2)) * governor.tier.pixelRatio;
+    const rect = fitFrame(width, height, window.innerWidth, window.innerHeight);
+
+    camera.aspect = width / height;
     camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    composer.setSize(window.innerWidth, window.innerHeight);
+    renderer.setPixelRatio(pixelRatio);
+    composer.setPixelRatio(pixelRatio);
+    renderer.setSize(width, height, false);
+    composer.setSize(width, height);
+    // The composer sizes every pass to the frame; bloom can make do with less
+    const bloomScale = pixelRatio * governor.tier.bloom;
+    bloomPass.setSize(Math.round(width * bloomScale), Math.round(height * bloomScale));
+
+    [renderer.domElement, segmentationDebugCanvas, depthDebugCanvas, flowDebugCanvas].forEach(canvas => {
+        canvas.style.width = `${rect.width}px`;
+        canvas.style.height = `${rect.height}px`;
+    });
+    // The debug canvases sit on top of the frame, not the window, and draw at its size
+    [segmentationDebugCanvas, depthDebugCanvas, flowDebugCanvas].forEach(canvas => {
+        canvas.style.left = `${rect.left}px`;
+        canvas.style.top = `${rect.top}px`;
+        canvas.width = rect.width;
+        canvas.height = rect.height;
+    });
+    document.body.style.backgroundColor = fixed ? `#${new THREE.Color(CONFIG.letterboxColor).getHexString()}` : '';
+    safeArea.update(rect, { visible: CONFIG.showSafeArea, margin: CONFIG.safeAreaMargin });
+
     updateVisibleBounds();
 }
 
@@ -594,97 +1748,258 @@ function updateVisibleBounds() {
     const vFOV = THREE.MathUtils.degToRad(camera.fov);
     visibleHeight = 2 * Math.tan(vFOV / 2) * camera.position.z;
     visibleWidth = visibleHeight * camera.aspect;
+    sim.setBounds(visibleWidth, visibleHeight);
 }
 
 function animate() {
     requestAnimationFrame(animate);
 
-    const time = Date.now() * 0.001;
+    const now = performance.now() / 1000;
+    const frameTime = Math.min(now - lastFrameTime, MAX_FRAME_TIME);
+    lastFrameTime = now;
+    if (frameTime > 0) fps += (1 / frameTime - fps) * 0.05;
+    // The offline renderer drives the frames itself
+    if (offlineRendering) return;
+
+    updateQuality(frameTime);
+
+    if (!paused) {
+        accumulator += frameTime * CONFIG.timeScale;
+    }
+
+    applyAudio();
+    updateAttract(now);
+    telemetry.time('flow', updateFlow);
 
-    if (poses.length > 0) {
+    let steps = 0;
+    const simStarted = performance.now();
+    while ((accumulator >= SIM_STEP || pendingSteps > 0) && steps < MAX_STEPS_PER_FRAME) {
+        stepSimulation(SIM_STEP);
+        if (pendingSteps > 0) {
+            pendingSteps--;
+        } else {
+            accumulator -= SIM_STEP;
+        }
+        steps++;
+    }
+    // Drop time we couldn't simulate instead of spiralling further behind
+    if (steps === MAX_STEPS_PER_FRAME) accumulator = 0;
+    telemetry.record('simulation', performance.now() - simStarted);
+
+    handlePops();
+    splash.update(paused ? 0 : frameTime * CONFIG.timeScale);
+
+    if (poses.length > 0 || hands.length > 0) {
         updateSkeleton();
     }
 
-    bubbles.forEach(bubble => {
-        // Calculate velocity dynamically based on current speed setting
-        const velocity = CONFIG.bubbleSpeed * bubble.userData.velocityMultiplier;
-        bubble.position.y += velocity;
+    const renderStarted = performance.now();
+    updateBubbleMesh(bubbleMesh, sim.bubbles, getBubbleColor);
+    updateOcclusion();
+    updateCameraFeed();
+
+    composer.render();
+    telemetry.record('render', performance.now() - renderStarted);
+    telemetry.record('frame', frameTime * 1000);
+    if (snapshotRequested) {
+        snapshotRequested = false;
+        saveSnapshot();
+    }
+}
+
+// Feeds the governor and keeps the bubble count at what the current tier allows
+function updateQuality(frameTime) {
+    const latency = detectors && detectors.isRunning('bodyPose') ? detectors.status('bodyPose').latency : 0;
+    governor.update(frameTime, latency, {
+        enabled: CONFIG.governorEnabled,
+        targetFps: CONFIG.governorTargetFps,
+        maxLatency: CONFIG.governorMaxLatency,
+        best: CONFIG.qualityBest,
+        worst: CONFIG.qualityWorst
+    });
+    // Replays keep the full count so they play out the same every time. The mesh's capacity
+    // is the count last committed (the Count slider only rebuilds it on release).
+    const full = bubbleMesh.userData.capacity;
+    const count = sessionPlayer ? full : Math.round(full * governor.tier.bubbles);
+    if (sim.bubbles.length !== count) sim.resize(count);
+}
 
-        bubble.position.x += Math.sin(time * bubble.userData.wobbleSpeed + bubble.userData.wobbleOffset) * 0.01;
-        bubble.position.z += Math.cos(time * bubble.userData.wobbleSpeed + bubble.userData.randomOffset) * 0.01;
+function applyQuality() {
+    setBubbleSegments(bubbleMesh, qualitySegments());
+    onWindowResize();
+    applyDetectorIntervals();
+}
 
-        // Apply depth-based scaling
-        if (bubble.userData.depth !== undefined) {
-            // Scale based on depth: closer objects (higher depth value) are larger
-            // depth ranges from 0 (far) to 1 (close)
-            // Scale factor: 0.5x to 2.0x based on depth
-            const depthScale = 0.5 + (bubble.userData.depth * 1.5);
-            const targetScale = bubble.userData.initialScale * depthScale;
-            bubble.scale.setScalar(targetScale);
-        }
+function qualitySegments() {
+    return Math.max(6, Math.round(CONFIG.bubbleSegments * governor.tier.segments));
+}
 
-        // Check lifespan
-        if (CONFIG.bubbleLifespan > 0) {
-            const actualLifespan = CONFIG.bubbleLifespan * bubble.userData.lifespanMultiplier;
-            const age = time - bubble.userData.birthTime;
-            if (age > actualLifespan) {
-                respawnBubble(bubble);
-                return;  // Skip rest of processing for this bubble
-            }
+function applyDetectorIntervals() {
+    if (!detectors) return;
+    const { every } = governor.tier;
+    DETECTOR_NAMES.forEach(name => detectors.setMinInterval(name, every[name] / CONFIG.governorTargetFps));
+}
 
-            // Optional: Fade out in last 20% of life
-            const lifeFraction = age / actualLifespan;
-            if (lifeFraction > 0.8) {
-                const fadeAmount = 1 - ((lifeFraction - 0.8) / 0.2);
-                bubble.material.opacity = 0.5 * fadeAmount;
-            } else {
-                bubble.material.opacity = 0.5;
-            }
-        }
+async function startAudio(start) {
+    try {
+        await start();
+        log(`Audio input: ${audioReactive.label}`, 'audio');
+    } catch (error) {
+        audioReactive.stop();
+        log(`Could not start audio input: ${error.message}`, 'audio', 'error');
+    }
+}
 
-        if (bubble.position.y > visibleHeight / 2 + 5) {
-            respawnBubble(bubble);
-        }
+// Turns the current band levels into simulation and bloom multipliers
+function applyAudio() {
+    const active = CONFIG.audioReactive && audioReactive.source;
+    if (active) audioReactive.update();
+    const factor = (key) => active ? audioReactive.factor(CONFIG.audioMappings[key]) : 1;
 
-        // Only interact with skeleton if not spawning on body
-        if (poses.length > 0 && !CONFIG.spawnOnBody) {
-            poses.forEach(pose => {
-                if (pose.keypoints) {
-                    // Interact with Arms and Legs (Indices 5-16)
-                    pose.keypoints.forEach((keypoint, index) => {
-                        if (index >= 5 && index <= 16) {
-                            interactWithKeypoint(bubble, keypoint);
-                        }
-                    });
-
-                    // Interact with Torso (Average of Shoulders 5,6 and Hips 11,12)
-                    const s1 = pose.keypoints[5];
-                    const s2 = pose.keypoints[6];
-                    const h1 = pose.keypoints[11];
-                    const h2 = pose.keypoints[12];
-
-                    if (s1 && s2 && h1 && h2 && s1.confidence > 0.1 && s2.confidence > 0.1 && h1.confidence > 0.1 && h2.confidence > 0.1) {
-                        const torsoX = (s1.x + s2.x + h1.x + h2.x) / 4;
-                        const torsoY = (s1.y + s2.y + h1.y + h2.y) / 4;
-                        interactWithKeypoint(bubble, { x: torsoX, y: torsoY, confidence: 1 });
-                    }
-                }
-            });
+    sim.modulation.spawnRate = factor('spawnRate');
+    sim.modulation.speed = factor('bubbleSpeed');
+    sim.modulation.scale = factor('bubbleScale');
+    bloomPass.strength = CONFIG.bloomStrength * factor('bloomStrength');
+}
+
+// Optical flow from the live video. Replays and offline renders have no video to read, so
+// they get the recorded fields through gotFlow instead.
+function updateFlow() {
+    if (sessionPlayer) return;
+    if (!CONFIG.flowEnabled || video.readyState < 2) {
+        if (flowField) setFlowField(null);
+        return;
+    }
+    const previous = flowField;
+    const field = flowEstimator.update(video, video.currentTime, {
+        width: CONFIG.flowResolution,
+        smoothing: CONFIG.flowSmoothing,
+        threshold: CONFIG.flowThreshold
+    });
+    if (field === previous) return;
+    setFlowField(field);
+    recorder.record('flow', { flow: field });
+}
+
+function gotFlow(result) {
+    setFlowField(result.flow);
+}
+
+function setFlowField(field) {
+    if (!field) flowEstimator.reset();
+    flowField = field;
+    if (flowDebugCanvas.style.display !== 'none') drawFlowDebug();
+}
+
+// One line per flow cell, from its centre along the motion of the next 0.1s
+function drawFlowDebug() {
+    const ctx = flowDebugCanvas.getContext('2d');
+    ctx.clearRect(0, 0, flowDebugCanvas.width, flowDebugCanvas.height);
+    if (!flowField) return;
+
+    const map = sim.getMapping();
+    const toCanvas = (u, v) => {
+        const world = map.toWorld(u, v);
+        return [
+            (world.x / visibleWidth + 0.5) * flowDebugCanvas.width,
+            (0.5 - world.y / visibleHeight) * flowDebugCanvas.height
+        ];
+    };
+    const { width, height, u, v } = flowField;
+    ctx.lineWidth = 2;
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            const i = row * width + col;
+            const speed = Math.hypot(u[i], v[i]);
+            if (speed === 0) continue;
+            const cu = (col + 0.5) / width;
+            const cv = (row + 0.5) / height;
+            const [x0, y0] = toCanvas(cu, cv);
+            const [x1, y1] = toCanvas(cu + u[i] * 0.1, cv + v[i] * 0.1);
+            ctx.strokeStyle = `hsl(${Math.max(0, 180 - speed * 180)}, 100%, 60%)`;
+            ctx.beginPath();
+            ctx.moveTo(x0, y0);
+            ctx.lineTo(x1, y1);
+            ctx.stroke();
         }
+    }
+}
+
+function updateOcclusion() {
+    updateBubbleOcclusion(bubbleMesh, {
+        enabled: CONFIG.depthOcclusion,
+        depth: depthMap,
+        mapping: sim.getMapping(),
+        resolution: renderer.getDrawingBufferSize(drawingBufferSize),
+        near: CONFIG.depthNear,
+        far: CONFIG.depthFar,
+        softness: CONFIG.occlusionSoftness
+    });
+}
+
+function updateCameraFeed() {
+    cameraFeed.update({
+        mode: CONFIG.compositeMode,
+        mapping: sim.getMapping(),
+        calibrate: calibrating,
+        // Replays carry no video, only the mask
+        hasVideo: !sessionPlayer && video.readyState >= 2,
+        invertMask: CONFIG.invertMask,
+        tint: CONFIG.sodaTint,
+        tintAmount: CONFIG.sodaTintAmount,
+        opacity: CONFIG.feedOpacity,
+        background: CONFIG.cokeRed
     });
+}
 
-    composer.render();
+function handlePops(playSound = true) {
+    const pops = sim.drainPops();
+    pops.forEach(pop => {
+        splash.emit(pop, getBubbleColor(pop.owner));
+        if (playSound) popAudio.play(pop.scale, pop.x / (visibleWidth / 2));
+    });
+}
+
+function stepSimulation(dt) {
+    // Replayed results arrive on the simulation clock so runs are repeatable; startReplay
+    // resets it to 0, so it counts seconds into the session
+    if (sessionPlayer) {
+        sessionPlayer.advanceTo(sim.time + dt);
+    }
+
+    const { width, height } = getSourceSize();
+    sim.setInputs({
+        poses,
+        hands,
+        people: personTracker.people,
+        mask: presence.attract ? getAttractMask() : (segmentationResult ? segmentationResult.mask : null),
+        depth: depthMap,
+        flow: CONFIG.flowEnabled ? flowField : null,
+        sourceWidth: width,
+        sourceHeight: height
+    });
+    sim.step(dt);
 }
 
+// Shared by every redraw; only the line geometries are rebuilt each frame (and disposed)
+const skeletonPointGeometry = new THREE.SphereGeometry(0.15, 8, 8); // Small spheres for points
+const skeletonMaterials = {
+    line: new THREE.LineBasicMaterial({ color: 0x00ff00 }),
+    point: new THREE.MeshBasicMaterial({ color: 0xff0000 }), // Red points
+    handLine: new THREE.LineBasicMaterial({ color: 0x00e5ff }),
+    fingertip: new THREE.MeshBasicMaterial({ color: 0xffea00 })
+};
+
 function updateSkeleton() {
     // Clear previous lines/points
     while (skeletonGroup.children.length > 0) {
-        skeletonGroup.remove(skeletonGroup.children[0]);
+        const child = skeletonGroup.children[0];
+        skeletonGroup.remove(child);
+        if (child.isLine) child.geometry.dispose();
     }
 
-    const lineMaterial = new THREE.LineBasicMaterial({ color: 0x00ff00 });
-    const pointGeometry = new THREE.SphereGeometry(0.15, 8, 8); // Small spheres for points
-    const pointMaterial = new THREE.MeshBasicMaterial({ color: 0xff0000 }); // Red points
+    const { line: lineMaterial, point: pointMaterial, handLine: handLineMaterial, fingertip: fingertipMaterial } = skeletonMaterials;
+    const pointGeometry = skeletonPointGeometry;
 
     poses.forEach(pose => {
         // Draw Points
@@ -726,174 +2041,28 @@ function updateSkeleton() {
             }
         });
     });
-}
 
-function getVector3FromKeypoint(keypoint) {
-    const normX = 1 - (keypoint.x / video.videoWidth);
-    const normY = 1 - (keypoint.y / video.videoHeight);
-    const x = (normX - 0.5) * visibleWidth;
-    const y = (normY - 0.5) * visibleHeight;
-    return new THREE.Vector3(x, y, 0);
-}
-
-function respawnBubble(bubble) {
-    let spawned = false;
-
-    // Debug: Log spawn attempts occasionally
-    const shouldDebug = Math.random() < 0.02;
-    if (shouldDebug) {
-        console.log('🔄 Respawn attempt:', {
-            spawnOnBody: CONFIG.spawnOnBody,
-            hasSegResult: !!segmentationResult,
-            hasMask: !!(segmentationResult && segmentationResult.mask),
-            maskData: segmentationResult?.mask?.data ? 'yes' : 'no'
+    // Hand landmarks, in their own colours so they stand out from the body
+    hands.forEach(hand => {
+        if (!hand.keypoints || hand.keypoints.length < 21) return;
+        const points = hand.keypoints.map(getVector3FromKeypoint);
+        points.forEach((vec, i) => {
+            const point = new THREE.Mesh(pointGeometry, FINGERTIPS.includes(i) ? fingertipMaterial : pointMaterial);
+            point.position.copy(vec);
+            point.scale.setScalar(0.6);
+            skeletonGroup.add(point);
         });
-    }
-
-    if (CONFIG.spawnOnBody && segmentationResult && segmentationResult.mask) {
-        let attempts = 0;
-        let personPixelCount = 0;
-        let sampleValues = [];
-
-        while (!spawned && attempts < 200) {
-            const rx = Math.random();
-            const ry = Math.random();
-
-            if (segmentationResult.mask.data) {
-                const w = segmentationResult.mask.width;
-                const h = segmentationResult.mask.height;
-                const mx = Math.floor(rx * w);
-                const my = Math.floor(ry * h);
-                const index = (my * w + mx) * 4;
-
-                // Check all RGBA channels
-                const r = segmentationResult.mask.data[index];
-                const g = segmentationResult.mask.data[index + 1];
-                const b = segmentationResult.mask.data[index + 2];
-                const a = segmentationResult.mask.data[index + 3];
-
-                // Sample some values for debugging
-                if (attempts < 5) {
-                    sampleValues.push({ mx, my, r, g, b, a });
-                }
-
-                // ML5 bodySegmentation uses ALPHA channel for person mask!
-                const isPerson = a > 127;
-
-                if (isPerson) personPixelCount++;
-
-                let shouldSpawn = CONFIG.invertMask ? !isPerson : isPerson;
-
-                if (shouldSpawn) {
-                    // Convert mask coordinates to world space
-                    // mx and my are already pixel coordinates in the mask
-                    // Need to normalize them based on mask dimensions, then mirror and map to world
-                    const normX = 1 - (mx / w);  // Mirror horizontally
-                    const normY = 1 - (my / h);   // Invert vertically (mask Y goes down, world Y goes up)
-
-                    bubble.position.x = (normX - 0.5) * visibleWidth;
-                    bubble.position.y = (normY - 0.5) * visibleHeight;
-
-                    // Sample depth at this position
-                    let depthValue = 0.5; // Default mid-depth
-                    if (depthResult && depthResult.depth && depthResult.depth.data) {
-                        const depthData = depthResult.depth.data;
-                        const depthW = depthResult.depth.width;
-                        const depthH = depthResult.depth.height;
-
-                        // Map mx, my to depth coordinates (they might be different resolutions)
-                        const depthX = Math.floor((mx / w) * depthW);
-                        const depthY = Math.floor((my / h) * depthH);
-                        const depthIndex = (depthY * depthW + depthX) * 4;
-
-                        // Depth is typically stored in grayscale (r=g=b), normalized 0-255
-                        // Lower values = closer, higher values = farther
-                        depthValue = depthData[depthIndex] / 255.0;
-                    }
-
-                    // Store depth in bubble userData (inverted: closer = higher value for larger bubbles)
-                    bubble.userData.depth = 1.0 - depthValue; // Closer objects have higher depth value
-
-                    spawned = true;
-
-                    if (Math.random() < 0.01) { // Log 1% of spawns
-                        console.log('✅ Spawned:', {
-                            mx, my, normX: normX.toFixed(2), normY: normY.toFixed(2),
-                            x: bubble.position.x.toFixed(1), y: bubble.position.y.toFixed(1),
-                            depth: bubble.userData.depth.toFixed(2)
-                        });
-                    }
-                }
-            }
-            attempts++;
-        }
-
-        // Debug when failing
-        if (!spawned) {
-            const coverage = (personPixelCount / 200 * 100).toFixed(1);
-            console.log('❌ Spawn FAILED after 200 attempts:', {
-                personPixels: personPixelCount,
-                coverage: coverage + '%',
-                maskSize: segmentationResult.mask.width + 'x' + segmentationResult.mask.height,
-                sampleValues: sampleValues,
-                invertMask: CONFIG.invertMask,
-                note: 'Person pixels found but failed to spawn - check mask data'
-            });
-        }
-    } else {
-        if (Math.random() < 0.001) {  // Log occasionally, not on every bubble
-            console.log('⚠️ Spawn conditions not met:', {
-                spawnOnBody: CONFIG.spawnOnBody,
-                hasSegResult: !!segmentationResult,
-                hasMask: !!(segmentationResult && segmentationResult.mask)
-            });
-        }
-    }
-
-    if (!spawned) {
-        // Fallback to bottom
-        bubble.position.x = (Math.random() - 0.5) * visibleWidth;
-        bubble.position.y = -visibleHeight / 2 - 5;
-    }
-
-    bubble.position.z = (Math.random() - 0.5) * 15;
-
-    // Reset birth time for lifespan tracking
-    bubble.userData.birthTime = Date.now() / 1000;
-
-    // Reset lifespan multiplier for variation
-    bubble.userData.lifespanMultiplier = 0.5 + Math.random() * 1.0;
-
-    // Reset opacity
-    if (bubble.material) {
-        bubble.material.opacity = 0.5;
-    }
+        HAND_CONNECTIONS.forEach(([startIdx, endIdx]) => {
+            const geometry = new THREE.BufferGeometry().setFromPoints([points[startIdx], points[endIdx]]);
+            skeletonGroup.add(new THREE.Line(geometry, handLineMaterial));
+        });
+    });
 }
 
-function interactWithKeypoint(bubble, keypoint) {
-    if (!keypoint || keypoint.confidence < 0.2) return;
-
-    const normX = 1 - (keypoint.x / video.width);
-    const normY = 1 - (keypoint.y / video.height);
-
-    const targetX = (normX - 0.5) * visibleWidth;
-    const targetY = (normY - 0.5) * visibleHeight;
-
-    const dx = bubble.position.x - targetX;
-    const dy = bubble.position.y - targetY;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-
-    if (dist < CONFIG.interactionRadius) {
-        const force = (CONFIG.interactionRadius - dist) / CONFIG.interactionRadius;
-        const angle = Math.atan2(dy, dx);
-
-        bubble.position.x += Math.cos(angle) * force * 0.8;
-        bubble.position.y += Math.sin(angle) * force * 0.8;
-
-        bubble.scale.setScalar(bubble.userData.initialScale * (1 + force * 0.5));
-    } else {
-        bubble.scale.lerp(new THREE.Vector3(bubble.userData.initialScale, bubble.userData.initialScale, bubble.userData.initialScale), 0.1);
-    }
+function getVector3FromKeypoint(keypoint) {
+    const { width, height } = getSourceSize();
+    const world = sim.sourceToWorld(keypoint.x, keypoint.y, width, height);
+    return new THREE.Vector3(world.x, world.y, 0);
 }
 
 init();
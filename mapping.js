@@ -0,0 +1,150 @@
+// --- Camera-to-World Mapping ---
+// The one place that decides where a point of the camera image lands in the scene.
+// Normalised source coordinates (u right, v down, 0-1 across the full camera frame) go
+// through crop, rotation, mirror, aspect fit, scale and offset to world space (centred on
+// the origin, y up, worldWidth x worldHeight visible). It's a single affine transform, so
+// it's kept as a 3x3 matrix (row-major) with its inverse, usable in shaders and on a canvas.
+
+export const MAPPING_FITS = ['cover', 'contain', 'stretch'];
+export const MAPPING_ROTATIONS = [0, 90, 180, 270];
+
+// rotation: degrees clockwise that turn the camera image upright (portrait-mounted cameras)
+// crop*: fraction of the source cut from each edge, before rotation
+// offsetX/Y: fraction of the world size, y up
+export const DEFAULT_MAPPING = {
+    mirror: true,
+    rotation: 0,
+    fit: 'cover',
+    cropLeft: 0,
+    cropRight: 0,
+    cropTop: 0,
+    cropBottom: 0,
+    scale: 1,
+    offsetX: 0,
+    offsetY: 0
+};
+
+export function createMapping(options, { worldWidth, worldHeight, sourceWidth, sourceHeight }) {
+    const o = { ...DEFAULT_MAPPING, ...options };
+    // Until a source is running, assume it already matches the world's aspect
+    const srcW = sourceWidth > 0 ? sourceWidth : worldWidth;
+    const srcH = sourceHeight > 0 ? sourceHeight : worldHeight;
+
+    const cropW = Math.max(1 - o.cropLeft - o.cropRight, 1e-3);
+    const cropH = Math.max(1 - o.cropTop - o.cropBottom, 1e-3);
+
+    // Crop centre to the origin, in source pixels
+    let m = [
+        srcW, 0, -(o.cropLeft + cropW / 2) * srcW,
+        0, srcH, -(o.cropTop + cropH / 2) * srcH,
+        0, 0, 1
+    ];
+
+    // Clockwise in image space (y down)
+    const angle = (((Math.round(o.rotation / 90) * 90) % 360) + 360) % 360;
+    const radians = angle * Math.PI / 180;
+    const cos = Math.round(Math.cos(radians));
+    const sin = Math.round(Math.sin(radians));
+    m = multiply([cos, -sin, 0, sin, cos, 0, 0, 0, 1], m);
+
+    const sideways = angle === 90 || angle === 270;
+    const contentW = (sideways ? cropH * srcH : cropW * srcW);
+    const contentH = (sideways ? cropW * srcW : cropH * srcH);
+
+    // Fit the upright content into the world
+    const contentAspect = contentW / contentH;
+    const worldAspect = worldWidth / worldHeight;
+    let width = worldWidth;
+    let height = worldHeight;
+    if (o.fit === 'cover') {
+        if (contentAspect > worldAspect) width = worldHeight * contentAspect;
+        else height = worldWidth / contentAspect;
+    } else if (o.fit === 'contain') {
+        if (contentAspect > worldAspect) height = worldWidth / contentAspect;
+        else width = worldHeight * contentAspect;
+    }
+
+    // Normalise, mirror, flip y up, then size, scale and offset in world units
+    const sx = (o.mirror ? -1 : 1) * (width / contentW) * o.scale;
+    const sy = -(height / contentH) * o.scale;
+    m = multiply([sx, 0, o.offsetX * worldWidth, 0, sy, o.offsetY * worldHeight, 0, 0, 1], m);
+
+    const inverse = invert(m);
+
+    return {
+        matrix: m,
+        inverse,
+        worldWidth,
+        worldHeight,
+        sourceWidth: srcW,
+        sourceHeight: srcH,
+
+        toWorld(u, v) {
+            return {
+                x: m[0] * u + m[1] * v + m[2],
+                y: m[3] * u + m[4] * v + m[5]
+            };
+        },
+
+        toSource(x, y) {
+            return {
+                u: inverse[0] * x + inverse[1] * y + inverse[2],
+                v: inverse[3] * x + inverse[4] * y + inverse[5]
+            };
+        },
+
+        // World length of a step along u or v (the transform may be non-uniform)
+        worldPerSource() {
+            return {
+                u: Math.hypot(m[0], m[3]),
+                v: Math.hypot(m[1], m[4])
+            };
+        },
+
+        // A velocity or offset in source space in world units
+        vectorToWorld(du, dv) {
+            return {
+                x: m[0] * du + m[1] * dv,
+                y: m[3] * du + m[4] * dv
+            };
+        },
+
+        // A direction in source space (e.g. a gradient) as a unit world vector
+        directionToWorld(du, dv) {
+            const x = m[0] * du + m[1] * dv;
+            const y = m[3] * du + m[4] * dv;
+            const length = Math.hypot(x, y);
+            return length > 1e-9 ? { x: x / length, y: y / length } : { x: 0, y: 0 };
+        }
+    };
+}
+
+// Whether two option objects give the same mapping
+export function sameMappingOptions(a, b) {
+    if (!a || !b) return a === b;
+    return Object.keys(DEFAULT_MAPPING).every(key => a[key] === b[key]);
+}
+
+function multiply(a, b) {
+    const out = new Array(9);
+    for (let row = 0; row < 3; row++) {
+        for (let col = 0; col < 3; col++) {
+            out[row * 3 + col] = a[row * 3] * b[col] + a[row * 3 + 1] * b[3 + col] + a[row * 3 + 2] * b[6 + col];
+        }
+    }
+    return out;
+}
+
+// Affine inverse (bottom row 0 0 1)
+function invert(m) {
+    const det = m[0] * m[4] - m[1] * m[3];
+    const a = m[4] / det;
+    const b = -m[1] / det;
+    const c = -m[3] / det;
+    const d = m[0] / det;
+    return [
+        a, b, -(a * m[2] + b * m[5]),
+        c, d, -(c * m[2] + d * m[5]),
+        0, 0, 1
+    ];
+}
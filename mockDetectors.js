@@ -0,0 +1,204 @@
+import { createProvider } from './detectors.js';
+
+// --- Mock Detectors ---
+// A provider that makes up its results from a script instead of reading the camera, so the
+// visuals and interactions can be worked on without a webcam or a model download.
+// Everything is drawn in a fixed frame (sourceSize) and shaped like the ml5 results:
+// COCO keypoints, a person mask with the person transparent (as ml5's 'person' mask),
+// depth with the person near, and MediaPipe hand landmarks with a pinch now and then.
+//
+// Scripts:
+//   wave   two people standing, one waving and pinching, the other swaying
+//   walk   one person walking back and forth across the frame
+//   empty  nobody, for the attract loop and watchdogs
+
+export const MOCK_SCRIPTS = ['wave', 'walk', 'empty'];
+
+const FRAME = { width: 640, height: 480 };
+const MASK_SCALE = 4;  // source pixels per mask pixel
+const RESULT_INTERVAL = 1 / 30;  // seconds between frames of the fake camera
+const PINCH_PERIOD = 4;  // seconds; the waving hand pinches for the first PINCH_LENGTH of each
+const PINCH_LENGTH = 1.5;
+
+// Limbs drawn into the mask as capsules: [from, to, radius as a fraction of body height]
+const BODY_SEGMENTS = [
+    [5, 6, 0.06], [5, 11, 0.07], [6, 12, 0.07], [11, 12, 0.07], [5, 12, 0.08], [6, 11, 0.08],
+    [5, 7, 0.035], [7, 9, 0.03], [6, 8, 0.035], [8, 10, 0.03],
+    [11, 13, 0.045], [13, 15, 0.04], [12, 14, 0.045], [14, 16, 0.04],
+    [0, 0, 0.07]
+];
+
+// getScript returns the script name; it's read on every result, so switching takes effect at once
+export function createMockProvider({ getScript = () => 'wave' } = {}) {
+    const startTime = performance.now() / 1000;
+    let cache = { time: -1, people: [] };
+
+    // Every detector sees the same people at the same moment
+    function peopleAt(time) {
+        if (cache.time !== time) cache = { time, people: scriptPeople(getScript(), time) };
+        return cache.people;
+    }
+
+    return createProvider('mock', {
+        async load() {},
+
+        ready() {
+            return true;
+        },
+
+        // Waits for the next frame of the fake camera, so results come at its rate
+        async detect(name) {
+            const time = performance.now() / 1000 - startTime;
+            const frameTime = (Math.floor(time / RESULT_INTERVAL) + 1) * RESULT_INTERVAL;
+            await new Promise(resolve => setTimeout(resolve, (frameTime - time) * 1000));
+            const people = peopleAt(frameTime);
+            if (name === 'bodyPose') return people.map(person => ({ id: person.id, keypoints: person.keypoints }));
+            if (name === 'segmentation') return { mask: drawMask(people) };
+            if (name === 'depth') return { depth: drawDepth(people) };
+            return people.filter(person => person.hand).map(person => person.hand);
+        }
+    }, { sourceSize: { ...FRAME } });
+}
+
+// --- Scripts ---
+
+function scriptPeople(script, t) {
+    if (script === 'empty') return [];
+    if (script === 'walk') {
+        const x = FRAME.width * (0.5 + 0.32 * Math.sin(t * 0.35));
+        const heading = Math.cos(t * 0.35);
+        return [createPerson(1, x, 0.85, { stride: Math.sin(t * 5), swing: -Math.sin(t * 5) * Math.sign(heading) })];
+    }
+    // wave
+    const pinching = t % PINCH_PERIOD < PINCH_LENGTH;
+    const waver = createPerson(1, FRAME.width * 0.33, 0.8, {
+        raise: 0.75 + 0.25 * Math.sin(t * 5),
+        pinching
+    });
+    const swayer = createPerson(2, FRAME.width * 0.7 + Math.sin(t * 0.8) * 30, 0.7, {
+        swing: Math.sin(t * 1.6) * 0.6
+    });
+    return [waver, swayer];
+}
+
+// A standing figure centred on x, `size` of the frame tall, facing the camera (so its left
+// is on the right of the image). pose: { raise (right arm up, 0-1), swing (arms, -1..1),
+// stride (legs, -1..1), pinching }
+function createPerson(id, x, size, pose = {}) {
+    const h = FRAME.height * size;
+    const top = FRAME.height - h - FRAME.height * 0.02;
+    const at = (dx, dy) => ({ x: x + dx * h, y: top + dy * h, confidence: 0.9 });
+    const swing = pose.swing || 0;
+    const stride = pose.stride || 0;
+
+    const keypoints = [
+        at(0, 0.07),  // nose
+        at(0.02, 0.055), at(-0.02, 0.055),  // eyes
+        at(0.045, 0.065), at(-0.045, 0.065),  // ears
+        at(0.12, 0.2), at(-0.12, 0.2),  // shoulders
+        null, null, null, null,  // arms, below
+        at(0.08, 0.52), at(-0.08, 0.52),  // hips
+        at(0.09 + stride * 0.06, 0.72), at(-0.09 - stride * 0.06, 0.72),  // knees
+        at(0.09 + stride * 0.12, 0.93), at(-0.09 - stride * 0.12, 0.93)  // ankles
+    ];
+
+    // Arms as two segments hanging from the shoulders; angles from straight down, outward positive
+    const arm = (shoulder, side, angle) => {
+        const elbow = { x: shoulder.x + side * Math.sin(angle) * 0.17 * h, y: shoulder.y + Math.cos(angle) * 0.17 * h, confidence: 0.9 };
+        const bend = angle > 1.5 ? angle + 0.6 : angle;
+        const wrist = { x: elbow.x + side * Math.sin(bend) * 0.15 * h, y: elbow.y + Math.cos(bend) * 0.15 * h, confidence: 0.9 };
+        return [elbow, wrist];
+    };
+    [keypoints[7], keypoints[9]] = arm(keypoints[5], 1, 0.2 + swing * 0.4);
+    const rightAngle = pose.raise ? 0.2 + pose.raise * 2.4 : 0.2 - swing * 0.4;
+    [keypoints[8], keypoints[10]] = arm(keypoints[6], -1, rightAngle);
+
+    const person = { id, keypoints, height: h, hand: null };
+    if (pose.raise) {
+        const wrist = keypoints[10];
+        const elbow = keypoints[8];
+        const direction = Math.atan2(wrist.y - elbow.y, wrist.x - elbow.x);
+        person.hand = createHand(wrist, direction, h * 0.09, Boolean(pose.pinching), 'Right');
+    }
+    return person;
+}
+
+// 21 MediaPipe landmarks fanned out from the wrist along `direction` (radians, image space)
+function createHand(wrist, direction, size, pinching, handedness) {
+    const keypoints = [{ x: wrist.x, y: wrist.y }];
+    const fan = [-0.9, -0.3, 0, 0.3, 0.6];  // thumb to pinky
+    fan.forEach((offset, finger) => {
+        for (let joint = 1; joint <= 4; joint++) {
+            const reach = size * (finger === 0 ? 0.25 + joint * 0.18 : 0.45 + joint * 0.14);
+            const angle = direction + offset;
+            keypoints.push({ x: wrist.x + Math.cos(angle) * reach, y: wrist.y + Math.sin(angle) * reach });
+        }
+    });
+    if (pinching) {
+        const thumb = keypoints[4];
+        const index = keypoints[8];
+        const mid = { x: (thumb.x + index.x) / 2, y: (thumb.y + index.y) / 2 };
+        keypoints[4] = { x: mid.x - size * 0.03, y: mid.y };
+        keypoints[8] = { x: mid.x + size * 0.03, y: mid.y };
+    }
+    return { handedness, confidence: 0.95, keypoints };
+}
+
+// --- Rasterising ---
+
+// Which person (index) covers each mask pixel, -1 for none
+function coverage(people) {
+    const width = FRAME.width / MASK_SCALE;
+    const height = FRAME.height / MASK_SCALE;
+    const owner = new Int8Array(width * height).fill(-1);
+    people.forEach((person, index) => {
+        BODY_SEGMENTS.forEach(([from, to, radius]) => {
+            const a = person.keypoints[from];
+            const b = person.keypoints[to];
+            fillCapsule(owner, width, height, a, b, radius * person.height, index);
+        });
+    });
+    return { owner, width, height };
+}
+
+function fillCapsule(owner, width, height, a, b, radius, value) {
+    const s = 1 / MASK_SCALE;
+    const ax = a.x * s, ay = a.y * s, bx = b.x * s, by = b.y * s, r = radius * s;
+    const x0 = Math.max(0, Math.floor(Math.min(ax, bx) - r));
+    const x1 = Math.min(width - 1, Math.ceil(Math.max(ax, bx) + r));
+    const y0 = Math.max(0, Math.floor(Math.min(ay, by) - r));
+    const y1 = Math.min(height - 1, Math.ceil(Math.max(ay, by) + r));
+    const dx = bx - ax, dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+            const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / lengthSq)) : 0;
+            const ex = x - (ax + t * dx);
+            const ey = y - (ay + t * dy);
+            if (ex * ex + ey * ey <= r * r) owner[y * width + x] = value;
+        }
+    }
+}
+
+function drawMask(people) {
+    const { owner, width, height } = coverage(people);
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < owner.length; i++) data[i * 4 + 3] = owner[i] >= 0 ? 0 : 255;
+    return makeImage(data, width, height);
+}
+
+// Nearer people (taller in frame) get lower values; the background is as far as it goes
+function drawDepth(people) {
+    const { owner, width, height } = coverage(people);
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < owner.length; i++) {
+        const value = owner[i] >= 0 ? 255 * (1 - people[owner[i]].height / FRAME.height) : 255;
+        data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = value;
+        data[i * 4 + 3] = 255;
+    }
+    return makeImage(data, width, height);
+}
+
+function makeImage(data, width, height) {
+    return typeof ImageData !== 'undefined' ? new ImageData(data, width, height) : { data, width, height };
+}
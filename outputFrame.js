@@ -0,0 +1,56 @@
+// --- Output Frame ---
+// Layout for a fixed output size (e.g. 1080x1920 portrait) shown letterboxed or pillarboxed
+// in whatever window it runs in. The renderer draws at the output size; only the canvas's
+// CSS size follows the window, so world space and the source mapping never change.
+
+// 'fixed' renders at outputWidth x outputHeight; 'window' fills the window as before
+export const FRAME_MODES = ['fixed', 'window'];
+
+// Largest rect with the frame's aspect that fits the container, centred (CSS pixels)
+export function fitFrame(frameWidth, frameHeight, containerWidth, containerHeight) {
+    const scale = Math.min(containerWidth / frameWidth, containerHeight / frameHeight);
+    const width = Math.round(frameWidth * scale);
+    const height = Math.round(frameHeight * scale);
+    return {
+        left: Math.round((containerWidth - width) / 2),
+        top: Math.round((containerHeight - height) / 2),
+        width,
+        height
+    };
+}
+
+// Outlines for action-safe (half the margin) and title-safe (the full margin) areas,
+// as fractions of the frame on every side
+export function createSafeAreaOverlay(parent = document.body) {
+    const element = document.createElement('div');
+    element.id = 'safe-area';
+    const action = document.createElement('div');
+    const title = document.createElement('div');
+    action.className = 'safe-area-action';
+    title.className = 'safe-area-title';
+    element.append(action, title);
+    parent.appendChild(element);
+
+    return {
+        element,
+
+        update(rect, { visible, margin }) {
+            element.style.display = visible ? 'block' : 'none';
+            if (!visible) return;
+            Object.assign(element.style, {
+                left: `${rect.left}px`,
+                top: `${rect.top}px`,
+                width: `${rect.width}px`,
+                height: `${rect.height}px`
+            });
+            const inset = (box, fraction) => Object.assign(box.style, {
+                left: `${fraction * 100}%`,
+                right: `${fraction * 100}%`,
+                top: `${fraction * 100}%`,
+                bottom: `${fraction * 100}%`
+            });
+            inset(action, margin / 2);
+            inset(title, margin);
+        }
+    };
+}
@@ -0,0 +1,20 @@
+// --- Person Mask ---
+// The one convention for reading segmentation masks: the person is in the alpha channel,
+// or out of it with invert (ml5's 'person' mask leaves the person transparent, which is why
+// invertMask defaults to on). The spawn sampler, the distance field and the camera feed
+// shader all go through this.
+
+// Alpha (0-255, after invert) above this is the person
+export const PERSON_THRESHOLD = 127;
+
+// The same edge in the 0-1 range a shader sees
+export const PERSON_EDGE = (PERSON_THRESHOLD + 0.5) / 255;
+
+export function personAlpha(alpha, invert) {
+    return invert ? 255 - alpha : alpha;
+}
+
+// pixel is the index of a pixel (not a byte) in an RGBA mask
+export function isPersonPixel(mask, pixel, invert) {
+    return personAlpha(mask.data[pixel * 4 + 3], invert) > PERSON_THRESHOLD;
+}
@@ -0,0 +1,130 @@
+import { createEmitter } from './events.js';
+
+// --- Person Tracker ---
+// Gives each person a stable id across pose frames. ml5 ids are used when the model
+// provides them (bodyPose with enableTracking); otherwise poses are matched to the people
+// seen last frame by nearest centroid. People get a small `slot` number, reused once they
+// leave, which picks their style.
+//
+// Events: 'enter' and 'exit', both with the person object.
+
+export function createPersonTracker({ maxDistance = 0.25, keepAlive = 0.75, minConfidence = 0.2 } = {}) {
+    const emitter = createEmitter();
+    let people = [];
+    let nextId = 1;
+
+    const tracker = {
+        on: emitter.on,
+        off: emitter.off,
+        get people() { return people; },
+
+        // time in seconds, poses in source pixels; returns the current people
+        update(poses, time, sourceWidth, sourceHeight) {
+            const detections = (poses || [])
+                .map(pose => summarize(pose, sourceWidth, sourceHeight, minConfidence))
+                .filter(Boolean);
+            const unmatched = new Set(people);
+            const matches = new Map();
+
+            // Trust model-provided ids first
+            detections.forEach(detection => {
+                if (detection.pose.id === undefined) return;
+                const person = people.find(p => p.sourceId === detection.pose.id && unmatched.has(p));
+                if (person) {
+                    matches.set(detection, person);
+                    unmatched.delete(person);
+                }
+            });
+
+            // Then greedily pair the closest remaining detections and people
+            const pairs = [];
+            detections.forEach(detection => {
+                if (matches.has(detection)) return;
+                unmatched.forEach(person => {
+                    const du = detection.centroid.u - person.centroid.u;
+                    const dv = detection.centroid.v - person.centroid.v;
+                    const distance = Math.sqrt(du * du + dv * dv);
+                    if (distance < maxDistance) pairs.push({ detection, person, distance });
+                });
+            });
+            pairs.sort((a, b) => a.distance - b.distance);
+            pairs.forEach(({ detection, person }) => {
+                if (matches.has(detection) || !unmatched.has(person)) return;
+                matches.set(detection, person);
+                unmatched.delete(person);
+            });
+
+            const entered = [];
+            detections.forEach(detection => {
+                let person = matches.get(detection);
+                if (!person) {
+                    person = {
+                        id: nextId++,
+                        slot: freeSlot(),
+                        firstSeen: time
+                    };
+                    people.push(person);
+                    entered.push(person);
+                }
+                person.sourceId = detection.pose.id;
+                person.pose = detection.pose;
+                person.centroid = detection.centroid;
+                person.bounds = detection.bounds;
+                person.lastSeen = time;
+                person.visible = true;
+            });
+
+            // Keep briefly-lost people around so a dropped frame doesn't count as leaving
+            const exited = [];
+            unmatched.forEach(person => {
+                person.visible = false;
+                person.pose = null;
+                if (time - person.lastSeen > keepAlive) exited.push(person);
+            });
+            if (exited.length) people = people.filter(person => !exited.includes(person));
+
+            entered.forEach(person => emitter.emit('enter', person));
+            exited.forEach(person => emitter.emit('exit', person));
+            return people;
+        },
+
+        reset() {
+            const exited = people;
+            people = [];
+            exited.forEach(person => emitter.emit('exit', person));
+        }
+    };
+
+    function freeSlot() {
+        let slot = 0;
+        while (people.some(person => person.slot === slot)) slot++;
+        return slot;
+    }
+
+    return tracker;
+}
+
+// Centroid and bounds of the confident keypoints, in normalised source coordinates
+function summarize(pose, sourceWidth, sourceHeight, minConfidence) {
+    if (!pose || !pose.keypoints || !sourceWidth || !sourceHeight) return null;
+
+    let sumU = 0;
+    let sumV = 0;
+    let count = 0;
+    const bounds = { minU: 1, minV: 1, maxU: 0, maxV: 0 };
+    pose.keypoints.forEach(kp => {
+        if (!kp || kp.confidence < minConfidence) return;
+        const u = kp.x / sourceWidth;
+        const v = kp.y / sourceHeight;
+        sumU += u;
+        sumV += v;
+        count++;
+        bounds.minU = Math.min(bounds.minU, u);
+        bounds.minV = Math.min(bounds.minV, v);
+        bounds.maxU = Math.max(bounds.maxU, u);
+        bounds.maxV = Math.max(bounds.maxV, v);
+    });
+    if (count === 0) return null;
+
+    return { pose, centroid: { u: sumU / count, v: sumV / count }, bounds };
+}
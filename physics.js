@@ -0,0 +1,130 @@
+// --- Bubble Physics ---
+// Bubble-to-bubble contacts for the simulation's physics mode: soft collisions and
+// coalescence. Neighbours come from a spatial hash rebuilt every step, so the cost stays
+// close to linear in the bubble count. Contacts are worked out in the x/y plane, which is
+// what the viewer sees; z only rides along.
+//
+// A bubble's radius is its scale (the mesh is a unit sphere) and its mass goes with r^3.
+
+// Counting-sort hash: cell -> slot in a fixed table, entries grouped per slot. Different
+// cells can share a slot, so callers still check distances. Allocates only when the count grows.
+export function createSpatialHash() {
+    let tableSize = 0;
+    let cellStart = null;
+    let entries = null;
+    let slots = null;
+    let cellSize = 1;
+
+    function slotOf(cx, cy) {
+        return Math.abs(Math.imul(cx, 92837111) ^ Math.imul(cy, 689287499)) % tableSize;
+    }
+
+    return {
+        // size: cell edge, at least the largest contact distance
+        build(bubbles, size) {
+            const count = bubbles.length;
+            if (!entries || entries.length < count) {
+                tableSize = Math.max(64, count * 2);
+                cellStart = new Int32Array(tableSize + 1);
+                entries = new Int32Array(count);
+                slots = new Int32Array(count);
+            }
+            cellSize = size;
+            cellStart.fill(0);
+            for (let i = 0; i < count; i++) {
+                const { x, y } = bubbles[i].position;
+                const slot = slotOf(Math.floor(x / cellSize), Math.floor(y / cellSize));
+                slots[i] = slot;
+                cellStart[slot + 1]++;
+            }
+            for (let s = 0; s < tableSize; s++) cellStart[s + 1] += cellStart[s];
+            const fill = cellStart.slice(0, tableSize);
+            for (let i = 0; i < count; i++) entries[fill[slots[i]]++] = i;
+        },
+
+        // Calls visit(index) for everything in the 3x3 cells around a point
+        forEachNear(x, y, visit) {
+            const cx = Math.floor(x / cellSize);
+            const cy = Math.floor(y / cellSize);
+            for (let oy = -1; oy <= 1; oy++) {
+                for (let ox = -1; ox <= 1; ox++) {
+                    const slot = slotOf(cx + ox, cy + oy);
+                    for (let e = cellStart[slot]; e < cellStart[slot + 1]; e++) visit(entries[e]);
+                }
+            }
+        }
+    };
+}
+
+// Pushes overlapping bubbles apart and merges small touching ones.
+// options: { dt, stiffness, coalescence, coalesceRadius, maxRadius, canMerge(bubble) }
+// onMerge(survivor, absorbed) is called after the survivor has taken the other's volume,
+// momentum and position; the absorbed bubble is the caller's to recycle.
+// Returns the number of merges.
+export function resolveContacts(bubbles, hash, options, onMerge) {
+    const count = bubbles.length;
+    let maxRadius = 0;
+    for (let i = 0; i < count; i++) maxRadius = Math.max(maxRadius, bubbles[i].scale);
+    if (count < 2 || maxRadius <= 0) return 0;
+
+    hash.build(bubbles, maxRadius * 2);
+    const merged = new Uint8Array(count);
+    let merges = 0;
+
+    for (let i = 0; i < count; i++) {
+        if (merged[i]) continue;
+        const a = bubbles[i];
+        hash.forEachNear(a.position.x, a.position.y, (j) => {
+            // Each pair once; a bubble merges at most once per step
+            if (j <= i || merged[i] || merged[j]) return;
+            const b = bubbles[j];
+            const dx = b.position.x - a.position.x;
+            const dy = b.position.y - a.position.y;
+            const reach = a.scale + b.scale;
+            const distSq = dx * dx + dy * dy;
+            if (distSq >= reach * reach) return;
+
+            const massA = a.scale * a.scale * a.scale;
+            const massB = b.scale * b.scale * b.scale;
+            const combined = Math.cbrt(massA + massB);
+            if (options.coalescence && Math.min(a.scale, b.scale) <= options.coalesceRadius &&
+                combined <= options.maxRadius && options.canMerge(a) && options.canMerge(b)) {
+                const [survivor, absorbed] = massA >= massB ? [a, b] : [b, a];
+                merge(survivor, absorbed, combined);
+                merged[i] = merged[j] = 1;
+                merges++;
+                onMerge(survivor, absorbed);
+                return;
+            }
+
+            // Soft contact: a spring on the overlap, shared out by mass
+            const dist = Math.sqrt(distSq);
+            const nx = dist > 1e-6 ? dx / dist : 1;
+            const ny = dist > 1e-6 ? dy / dist : 0;
+            const impulse = options.stiffness * (reach - dist) * options.dt;
+            const total = massA + massB;
+            a.velocity.x -= nx * impulse * (massB / total);
+            a.velocity.y -= ny * impulse * (massB / total);
+            b.velocity.x += nx * impulse * (massA / total);
+            b.velocity.y += ny * impulse * (massA / total);
+        });
+    }
+    return merges;
+}
+
+// Survivor takes the combined volume, the volume-weighted centre and the total momentum
+function merge(survivor, absorbed, radius) {
+    const massS = survivor.scale ** 3;
+    const massA = absorbed.scale ** 3;
+    const total = massS + massA;
+    ['x', 'y', 'z'].forEach(axis => {
+        survivor.position[axis] = (survivor.position[axis] * massS + absorbed.position[axis] * massA) / total;
+    });
+    survivor.velocity.x = (survivor.velocity.x * massS + absorbed.velocity.x * massA) / total;
+    survivor.velocity.y = (survivor.velocity.y * massS + absorbed.velocity.y * massA) / total;
+
+    const growth = radius / survivor.scale;
+    survivor.growth *= growth;
+    survivor.initialScale *= growth;
+    survivor.scale = radius;
+}
@@ -0,0 +1,114 @@
+// --- Pop Sounds ---
+// Procedural "pop" + "fizz" voices built from Web Audio nodes, no sample files.
+// A pop is a short sine chirp; the fizz is band-passed noise. Smaller bubbles pop higher
+// and quieter. Voices are capped so a wave of pops doesn't turn into noise.
+
+const MAX_VOICES = 16;
+const MAX_POPS_PER_SECOND = 40;
+
+export function createPopAudio({ volume = 0.6, muted = false } = {}) {
+    let context = null;
+    let master = null;
+    let noiseBuffer = null;
+    let activeVoices = 0;
+    let windowStart = 0;
+    let windowCount = 0;
+
+    const audio = {
+        volume,
+        muted,
+
+        // Browsers only allow audio after a user gesture; call this from one
+        unlock() {
+            if (!context) {
+                const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+                if (!AudioContextClass) return;
+                context = new AudioContextClass();
+                master = context.createGain();
+                master.connect(context.destination);
+                noiseBuffer = createNoiseBuffer(context);
+                audio.setVolume(audio.volume);
+            }
+            if (context.state === 'suspended') context.resume();
+        },
+
+        get context() { return context; },
+        // Node everything is mixed into, for tapping into recordings
+        get output() { return master; },
+
+        setVolume(value) {
+            audio.volume = value;
+            if (master) master.gain.setTargetAtTime(audio.muted ? 0 : value, context.currentTime, 0.02);
+        },
+
+        setMuted(value) {
+            audio.muted = value;
+            audio.setVolume(audio.volume);
+        },
+
+        // size: bubble scale (~0.1-2), pan: -1 (left) to 1 (right)
+        play(size, pan = 0) {
+            if (!context || context.state !== 'running' || audio.muted || audio.volume <= 0) return;
+            if (activeVoices >= MAX_VOICES) return;
+
+            const now = context.currentTime;
+            if (now - windowStart > 1) {
+                windowStart = now;
+                windowCount = 0;
+            }
+            if (windowCount >= MAX_POPS_PER_SECOND) return;
+            windowCount++;
+
+            const clampedSize = Math.min(Math.max(size, 0.05), 2.5);
+            const pitch = (900 / (0.3 + clampedSize)) * (0.85 + Math.random() * 0.3);
+            const level = 0.15 + 0.35 * Math.min(clampedSize / 1.5, 1);
+
+            const panner = context.createStereoPanner();
+            panner.pan.value = Math.min(Math.max(pan, -1), 1);
+            panner.connect(master);
+
+            // Pop: sine that sweeps up fast and dies in a few tens of milliseconds
+            const osc = context.createOscillator();
+            const popGain = context.createGain();
+            osc.type = 'sine';
+            osc.frequency.setValueAtTime(pitch, now);
+            osc.frequency.exponentialRampToValueAtTime(pitch * 2.2, now + 0.04);
+            popGain.gain.setValueAtTime(0.0001, now);
+            popGain.gain.exponentialRampToValueAtTime(level, now + 0.003);
+            popGain.gain.exponentialRampToValueAtTime(0.0001, now + 0.06);
+            osc.connect(popGain).connect(panner);
+
+            // Fizz: noise through a band-pass, a little longer than the pop
+            const noise = context.createBufferSource();
+            noise.buffer = noiseBuffer;
+            const filter = context.createBiquadFilter();
+            filter.type = 'bandpass';
+            filter.frequency.value = 3000 + pitch * 2;
+            filter.Q.value = 1.5;
+            const fizzGain = context.createGain();
+            fizzGain.gain.setValueAtTime(level * 0.4, now);
+            fizzGain.gain.exponentialRampToValueAtTime(0.0001, now + 0.12 + clampedSize * 0.05);
+            noise.connect(filter).connect(fizzGain).connect(panner);
+
+            activeVoices++;
+            const end = now + 0.2 + clampedSize * 0.05;
+            osc.start(now);
+            osc.stop(end);
+            noise.start(now, Math.random() * 0.5);
+            noise.stop(end);
+            noise.onended = () => {
+                activeVoices--;
+                panner.disconnect();
+            };
+        }
+    };
+
+    return audio;
+}
+
+function createNoiseBuffer(context) {
+    const buffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    return buffer;
+}
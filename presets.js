@@ -0,0 +1,147 @@
+// --- Settings Presets ---
+// Named CONFIG snapshots in localStorage, JSON import/export, and URL overrides.
+// Values are only ever copied onto keys that already exist in the config, with the same
+// type, so an old or hand-edited preset can't add junk keys or turn a number into a string.
+//
+// URL overrides use the key path, e.g. ?bubbleCount=500&cokeRed=0x1133ff&personStyles.1.color=%23ffcc00
+// and ?preset=Name loads a saved preset first.
+
+const STORAGE_KEY = 'coke-bubbles.presets';
+const PRESET_VERSION = 1;
+
+// Runtime state that lives in CONFIG but isn't part of a look
+const EXCLUDED_KEYS = ['inputSource'];
+
+export function snapshotConfig(config) {
+    const snapshot = JSON.parse(JSON.stringify(config));
+    EXCLUDED_KEYS.forEach(key => delete snapshot[key]);
+    return snapshot;
+}
+
+// Copies matching values from `values` onto `config` in place; returns the changed key paths
+export function applyConfig(config, values, path = '') {
+    const changed = [];
+    if (!values || typeof values !== 'object') return changed;
+
+    Object.keys(values).forEach(key => {
+        if (!path && EXCLUDED_KEYS.includes(key)) return;
+        if (!Object.prototype.hasOwnProperty.call(config, key)) return;
+
+        const current = config[key];
+        const value = values[key];
+        const keyPath = path ? `${path}.${key}` : key;
+
+        if (current && typeof current === 'object') {
+            // Nested objects and arrays merge key by key; arrays keep their length
+            changed.push(...applyConfig(current, value, keyPath));
+        } else if (typeof value === typeof current && value !== current) {
+            if (typeof value === 'number' && !Number.isFinite(value)) return;
+            config[key] = value;
+            changed.push(keyPath);
+        }
+    });
+    return changed;
+}
+
+// Overrides from the query string, shaped like the config (unknown keys are skipped)
+export function parseConfigParams(search, config) {
+    const params = new URLSearchParams(search);
+    const overrides = {};
+    params.forEach((raw, name) => {
+        const parts = name.split('.');
+        let target = config;
+        let out = overrides;
+        for (let i = 0; i < parts.length - 1; i++) {
+            target = target[parts[i]];
+            if (!target || typeof target !== 'object') return;
+            out[parts[i]] = out[parts[i]] || (Array.isArray(target) ? [] : {});
+            out = out[parts[i]];
+        }
+        const key = parts[parts.length - 1];
+        if (!target || !Object.prototype.hasOwnProperty.call(target, key)) return;
+
+        const value = parseValue(raw, target[key]);
+        if (value !== undefined) out[key] = value;
+    });
+    return overrides;
+}
+
+// Parses a query string value to the type of the current value
+function parseValue(raw, current) {
+    if (typeof current === 'boolean') {
+        if (raw === 'true' || raw === '1' || raw === '') return true;
+        if (raw === 'false' || raw === '0') return false;
+        return undefined;
+    }
+    if (typeof current === 'number') {
+        // Colours may be written as #rrggbb or 0xrrggbb
+        const text = raw.startsWith('#') ? `0x${raw.slice(1)}` : raw;
+        const value = Number(text);
+        return Number.isFinite(value) ? value : undefined;
+    }
+    if (typeof current === 'string') return raw;
+    return undefined;
+}
+
+// --- localStorage ---
+
+function readStore() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return stored && stored.presets ? stored : { version: PRESET_VERSION, presets: {} };
+    } catch (error) {
+        return { version: PRESET_VERSION, presets: {} };
+    }
+}
+
+// Returns null, or the error if the browser wouldn't store it (quota full, storage blocked)
+function writeStore(store) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+export function listPresets() {
+    return Object.keys(readStore().presets).sort();
+}
+
+// savePreset and deletePreset return null, or the error if the change couldn't be stored
+export function savePreset(name, config) {
+    const store = readStore();
+    store.presets[name] = snapshotConfig(config);
+    return writeStore(store);
+}
+
+// Returns the stored values, or null if there's no preset with that name
+export function loadPreset(name) {
+    return readStore().presets[name] || null;
+}
+
+export function deletePreset(name) {
+    const store = readStore();
+    delete store.presets[name];
+    return writeStore(store);
+}
+
+// --- Files ---
+
+export function exportConfig(config, filename = `bubbles-config-${Date.now()}.json`) {
+    const data = { version: PRESET_VERSION, config: snapshotConfig(config) };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Accepts an exported file or a bare CONFIG object
+export async function importConfig(file) {
+    const data = JSON.parse(await file.text());
+    if (!data || typeof data !== 'object') throw new Error('Not a settings file');
+    return data.config && typeof data.config === 'object' ? data.config : data;
+}
@@ -0,0 +1,136 @@
+import { createEmitter } from './events.js';
+
+// --- Remote Control ---
+// WebSocket client that lets an operator drive the piece from another machine.
+// The app connects out (so it works behind NAT) and reconnects with backoff if dropped.
+// scripts/remote-server.js is a stand-in server for testing.
+//
+// Every message is one JSON object with a `type`. An optional `id` on a command is echoed
+// in its reply: { type: 'ack', id, ok: true } or { type: 'ack', id, ok: false, error }.
+//
+// Commands (server -> app):
+//   { type: 'set', key: 'bubbleCount', value: 500 }      any CONFIG key; nested with dots,
+//   { type: 'set', values: { bloomStrength: 1.2 } }       e.g. 'personStyles.1.color'
+//   { type: 'burst', x: 0.5, y: 0.5, count: 100 }         x/y 0-1 across the screen, left/top = 0
+//   { type: 'preset', name: 'Venue A' }                   load a saved preset
+//   { type: 'reset' }                                     back to default settings
+//   { type: 'camera', index: 1 } | { type: 'camera', next: true }
+//   { type: 'debug', view: 'skeleton', visible: true }    view: logs (telemetry panel) | skeleton | segmentation | depth | flow
+//   { type: 'status' }                                    ask for a status message now
+//   { type: 'ping' }                                      replies { type: 'pong' }
+//
+// Messages (app -> server):
+//   { type: 'hello', app: 'coke-bubbles', protocol: 1, presets: [...] }  once per connection
+//   { type: 'status', fps, people, detectors (provider name), models: { bodyPose, segmentation, depth, hands },
+//     source, replaying, quality (governor tier), time }
+//     every statusInterval seconds; model states are idle | loading | ready | error
+//
+// Events: 'command' (message object, reply function), 'open', 'close', 'error' (message).
+
+export const REMOTE_PROTOCOL_VERSION = 1;
+
+const MAX_RECONNECT_DELAY = 30;  // seconds
+
+export function createRemoteControl({ reconnectDelay = 1 } = {}) {
+    const emitter = createEmitter();
+    let socket = null;
+    let url = null;
+    let retryTimer = null;
+    let retryDelay = reconnectDelay;
+
+    const remote = {
+        on: emitter.on,
+        off: emitter.off,
+        // 'disconnected', 'connecting' or 'connected'
+        state: 'disconnected',
+        get url() { return url; },
+
+        connect(newUrl) {
+            remote.disconnect();
+            url = newUrl;
+            retryDelay = reconnectDelay;
+            open();
+        },
+
+        disconnect() {
+            url = null;
+            clearTimeout(retryTimer);
+            retryTimer = null;
+            if (socket) {
+                socket.onclose = null;
+                socket.close();
+                socket = null;
+            }
+            remote.state = 'disconnected';
+        },
+
+        // Returns false when not connected; messages aren't queued
+        send(message) {
+            if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+            socket.send(JSON.stringify(message));
+            return true;
+        }
+    };
+
+    function open() {
+        remote.state = 'connecting';
+        try {
+            socket = new WebSocket(url);
+        } catch (error) {
+            remote.state = 'disconnected';
+            emitter.emit('error', `Bad endpoint ${url}: ${error.message}`);
+            return;
+        }
+
+        socket.onopen = () => {
+            remote.state = 'connected';
+            retryDelay = reconnectDelay;
+            emitter.emit('open', url);
+        };
+        socket.onmessage = (event) => handleMessage(event.data);
+        socket.onclose = () => {
+            socket = null;
+            const wasConnected = remote.state === 'connected';
+            remote.state = 'disconnected';
+            if (wasConnected) emitter.emit('close', url);
+            scheduleReconnect();
+        };
+        // Errors are always followed by close, which handles the retry
+        socket.onerror = () => {};
+    }
+
+    function scheduleReconnect() {
+        if (!url) return;
+        retryTimer = setTimeout(open, retryDelay * 1000);
+        retryDelay = Math.min(retryDelay * 2, MAX_RECONNECT_DELAY);
+    }
+
+    function handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            remote.send({ type: 'ack', ok: false, error: 'Invalid JSON' });
+            return;
+        }
+        if (!message || typeof message.type !== 'string') {
+            remote.send({ type: 'ack', id: message && message.id, ok: false, error: 'Missing type' });
+            return;
+        }
+
+        const reply = (error) => {
+            if (message.id === undefined) return;
+            remote.send(error
+                ? { type: 'ack', id: message.id, ok: false, error: String(error) }
+                : { type: 'ack', id: message.id, ok: true });
+        };
+        emitter.emit('command', { message, reply });
+    }
+
+    return remote;
+}
+
+// 'personStyles.1.color', 5 -> { personStyles: { 1: { color: 5 } } }, for applyConfig
+export function pathToValues(path, value) {
+    return path.split('.').reduceRight((inner, key) => ({ [key]: inner }), value);
+}
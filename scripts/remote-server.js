@@ -0,0 +1,165 @@
+// Stand-in remote control server for testing the WebSocket protocol in remoteControl.js.
+// No dependencies: a bare WebSocket server on Node's http and crypto modules.
+//
+//   npm run remote              (or: node scripts/remote-server.js [port])
+//   open the app with ?remote=ws://localhost:8787
+//
+// Type one JSON command per line to send it to every connected app, e.g.
+//   {"type":"set","key":"bubbleCount","value":3000}
+//   {"type":"burst","x":0.5,"y":0.3,"count":200}
+//   {"type":"debug","view":"skeleton","visible":true}
+// Messages from the apps are printed. Commands sent by any other WebSocket client (a custom
+// control panel, say) are relayed to the rest the same way.
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { createInterface } from 'node:readline';
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const clients = new Set();
+let nextCommandId = 1;
+
+const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket endpoint for the bubbles remote control\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || req.headers.upgrade.toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    const client = { socket, name: `${req.socket.remoteAddress}:${req.socket.remotePort}`, buffer: Buffer.alloc(0) };
+    clients.add(client);
+    console.log(`+ ${client.name} connected (${clients.size} client(s))`);
+
+    socket.on('data', chunk => {
+        client.buffer = Buffer.concat([client.buffer, chunk]);
+        readFrames(client);
+    });
+    socket.on('close', () => {
+        clients.delete(client);
+        console.log(`- ${client.name} disconnected (${clients.size} client(s))`);
+    });
+    socket.on('error', () => socket.destroy());
+});
+
+// Parses complete frames off the client's buffer. Browsers send small unfragmented
+// text frames, so continuation frames aren't reassembled.
+function readFrames(client) {
+    for (;;) {
+        const buffer = client.buffer;
+        if (buffer.length < 2) return;
+
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) return;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) return;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+        client.buffer = buffer.subarray(offset + length);
+
+        if (opcode === 0x1) onText(client, payload.toString('utf8'));
+        else if (opcode === 0x8) client.socket.end(encodeFrame(Buffer.alloc(0), 0x8));
+        else if (opcode === 0x9) client.socket.write(encodeFrame(payload, 0xa));
+    }
+}
+
+function encodeFrame(payload, opcode = 0x1) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+function send(client, message) {
+    client.socket.write(encodeFrame(Buffer.from(JSON.stringify(message))));
+}
+
+// Replies from the app are printed; anything else is a command to relay
+const APP_MESSAGES = ['hello', 'status', 'ack', 'pong'];
+
+function onText(client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        console.log(`? ${client.name} sent invalid JSON: ${text}`);
+        return;
+    }
+
+    if (APP_MESSAGES.includes(message.type)) {
+        if (message.type === 'hello') client.app = true;
+        if (message.type === 'status') {
+            const models = Object.entries(message.models || {}).map(([name, state]) => `${name}=${state}`).join(' ');
+            console.log(`< ${client.name} ${message.fps} fps, ${message.people} people, ${models}`);
+        } else {
+            console.log(`< ${client.name} ${text}`);
+        }
+        return;
+    }
+
+    clients.forEach(other => {
+        if (other !== client) send(other, message);
+    });
+    console.log(`> relayed ${text} from ${client.name}`);
+}
+
+createInterface({ input: process.stdin }).on('line', line => {
+    const text = line.trim();
+    if (!text) return;
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        console.log(`Not JSON: ${error.message}`);
+        return;
+    }
+    if (message.id === undefined) message.id = nextCommandId++;
+    clients.forEach(client => send(client, message));
+    console.log(`> sent to ${clients.size} client(s)`);
+});
+
+server.listen(PORT, () => {
+    console.log(`Remote control server on ws://localhost:${PORT}`);
+    console.log('Type JSON commands, one per line. Ctrl+C to quit.');
+});
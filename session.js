@@ -0,0 +1,308 @@
+// --- Session Recording & Replay ---
+// A session is the stream of ml5 results (poses, hands, segmentation masks, depth maps) and
+// optical flow fields with the time each one arrived. Replaying it pushes the same results back through the same callbacks,
+// so the bubbles can be driven without a camera or the models.
+//
+// File format (JSON):
+//   { version, createdAt, width, height, duration,
+//     events: [{ t, type: 'pose', poses } |
+//              { t, type: 'hands', hands } |
+//              { t, type: 'mask', width, height, alpha } |
+//              { t, type: 'depth', width, height, values } |
+//              { t, type: 'flow', width, height, scale, u, v }] }
+// Pose keypoints are stored as [x, y, confidence] triples, hand landmarks as [x, y] pairs.
+// Mask alpha is run-length encoded and depth keeps a single 8-bit channel (0 = near, as
+// converted by depthMap.js); both are base64 strings. Flow u and v are base64 bytes too,
+// 128 +- 127 spanning -scale..scale (see flowField.js for the units).
+
+export const SESSION_VERSION = 1;
+
+export function createSessionRecorder() {
+    let events = [];
+    let startTime = 0;
+    let recording = false;
+    let size = { width: 0, height: 0 };
+
+    return {
+        get recording() { return recording; },
+        get eventCount() { return events.length; },
+
+        start(sourceWidth, sourceHeight) {
+            events = [];
+            size = { width: sourceWidth, height: sourceHeight };
+            startTime = performance.now();
+            recording = true;
+        },
+
+        stop() {
+            recording = false;
+            const duration = events.length ? events[events.length - 1].t : 0;
+            return {
+                version: SESSION_VERSION,
+                createdAt: new Date().toISOString(),
+                width: size.width,
+                height: size.height,
+                duration,
+                events
+            };
+        },
+
+        record(type, result) {
+            if (!recording || !result) return;
+            const event = encodeEvent(type, result);
+            if (event) {
+                event.t = roundTo((performance.now() - startTime) / 1000, 3);
+                events.push(event);
+            }
+        }
+    };
+}
+
+// Whether parsed JSON is a session this player can replay (rather than, say, a settings file)
+export function isSession(data) {
+    return Boolean(data) && data.version === SESSION_VERSION && Array.isArray(data.events);
+}
+
+// Plays a session back through handlers = { pose, hands, mask, depth, flow }, each called with a result
+// shaped like the ml5 one. Call advanceTo(seconds) to drive it from any clock.
+export function createSessionPlayer(session, handlers, { loop = true } = {}) {
+    if (!isSession(session)) {
+        throw new Error('Not a recognised session file');
+    }
+
+    const events = session.events;
+    let cursor = 0;
+    let pass = 0;
+    let lastTime = 0;
+
+    const player = {
+        session,
+        loop,
+        get duration() { return session.duration; },
+        get finished() { return !player.loop && cursor >= events.length; },
+
+        reset() {
+            cursor = 0;
+            pass = 0;
+            lastTime = 0;
+        },
+
+        // time is seconds since playback started; with loop on it keeps counting past the end
+        advanceTo(time) {
+            if (time < lastTime) player.reset();
+            lastTime = time;
+
+            let localTime = time;
+            if (player.loop && session.duration > 0) {
+                const currentPass = Math.floor(time / session.duration);
+                if (currentPass > pass) {
+                    // Flush the tail of the previous pass before wrapping around
+                    dispatchUntil(Infinity);
+                    cursor = 0;
+                    pass = currentPass;
+                }
+                localTime = time - pass * session.duration;
+            }
+            dispatchUntil(localTime);
+        }
+    };
+
+    function dispatchUntil(time) {
+        while (cursor < events.length && events[cursor].t <= time) {
+            const event = events[cursor++];
+            const handler = handlers[event.type];
+            if (handler) handler(decodeEvent(event));
+        }
+    }
+
+    return player;
+}
+
+export function downloadSession(session, filename = `session-${Date.now()}.json`) {
+    const blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export async function loadSession(fileOrUrl) {
+    if (typeof fileOrUrl === 'string') {
+        const response = await fetch(fileOrUrl);
+        if (!response.ok) throw new Error(`Failed to fetch ${fileOrUrl}: ${response.status}`);
+        return response.json();
+    }
+    return JSON.parse(await fileOrUrl.text());
+}
+
+function encodeEvent(type, result) {
+    if (type === 'pose') {
+        return {
+            type,
+            poses: result.map(pose => ({
+                id: pose.id,
+                keypoints: (pose.keypoints || []).map(kp => [roundTo(kp.x, 1), roundTo(kp.y, 1), roundTo(kp.confidence, 3)])
+            }))
+        };
+    }
+
+    if (type === 'hands') {
+        return {
+            type,
+            hands: result.map(hand => ({
+                handedness: hand.handedness,
+                confidence: roundTo(hand.confidence || 0, 3),
+                keypoints: (hand.keypoints || []).map(kp => [roundTo(kp.x, 1), roundTo(kp.y, 1)])
+            }))
+        };
+    }
+
+    if (type === 'mask' && result.mask && result.mask.data) {
+        const { data, width, height } = result.mask;
+        const alpha = new Uint8Array(width * height);
+        for (let i = 0; i < alpha.length; i++) alpha[i] = data[i * 4 + 3];
+        return { type, width, height, alpha: toBase64(encodeRle(alpha)) };
+    }
+
+    if (type === 'depth' && result.depth && result.depth.data) {
+        const { data, width, height } = result.depth;
+        const values = new Uint8Array(width * height);
+        for (let i = 0; i < values.length; i++) values[i] = data[i * 4];
+        return { type, width, height, values: toBase64(values) };
+    }
+
+    if (type === 'flow' && result.flow) {
+        const { width, height, u, v } = result.flow;
+        let largest = 0;
+        for (let i = 0; i < u.length; i++) largest = Math.max(largest, Math.abs(u[i]), Math.abs(v[i]));
+        // Rounded up so the largest component still fits in the byte range
+        const scale = Math.ceil(largest * 1e4) / 1e4;
+        return { type, width, height, scale, u: toBase64(quantise(u, scale)), v: toBase64(quantise(v, scale)) };
+    }
+
+    return null;
+}
+
+function decodeEvent(event) {
+    if (event.type === 'pose') {
+        return event.poses.map(pose => ({
+            id: pose.id,
+            keypoints: pose.keypoints.map(([x, y, confidence]) => ({ x, y, confidence }))
+        }));
+    }
+
+    if (event.type === 'hands') {
+        return event.hands.map(hand => ({
+            handedness: hand.handedness,
+            confidence: hand.confidence,
+            keypoints: hand.keypoints.map(([x, y]) => ({ x, y }))
+        }));
+    }
+
+    if (event.type === 'mask') {
+        const alpha = decodeRle(fromBase64(event.alpha), event.width * event.height);
+        const data = new Uint8ClampedArray(alpha.length * 4);
+        for (let i = 0; i < alpha.length; i++) data[i * 4 + 3] = alpha[i];
+        return { mask: makeImage(data, event.width, event.height) };
+    }
+
+    if (event.type === 'flow') {
+        return {
+            flow: {
+                width: event.width,
+                height: event.height,
+                u: dequantise(fromBase64(event.u), event.scale),
+                v: dequantise(fromBase64(event.v), event.scale)
+            }
+        };
+    }
+
+    const values = fromBase64(event.values);
+    const data = new Uint8ClampedArray(values.length * 4);
+    for (let i = 0; i < values.length; i++) {
+        data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = values[i];
+        data[i * 4 + 3] = 255;
+    }
+    return { depth: makeImage(data, event.width, event.height) };
+}
+
+function makeImage(data, width, height) {
+    return typeof ImageData !== 'undefined' ? new ImageData(data, width, height) : { data, width, height };
+}
+
+function quantise(values, scale) {
+    const bytes = new Uint8Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+        bytes[i] = 128 + (scale > 0 ? Math.round((values[i] / scale) * 127) : 0);
+    }
+    return bytes;
+}
+
+function dequantise(bytes, scale) {
+    const values = new Float32Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) values[i] = ((bytes[i] - 128) / 127) * scale;
+    return values;
+}
+
+// Runs are written as [value, length as LEB128 varint]
+function encodeRle(bytes) {
+    const out = [];
+    let i = 0;
+    while (i < bytes.length) {
+        const value = bytes[i];
+        let run = 1;
+        while (i + run < bytes.length && bytes[i + run] === value) run++;
+        out.push(value);
+        let n = run;
+        while (n >= 0x80) {
+            out.push((n & 0x7f) | 0x80);
+            n >>>= 7;
+        }
+        out.push(n);
+        i += run;
+    }
+    return Uint8Array.from(out);
+}
+
+function decodeRle(encoded, length) {
+    const bytes = new Uint8Array(length);
+    let o = 0;
+    let i = 0;
+    while (i < encoded.length && o < length) {
+        const value = encoded[i++];
+        let run = 0;
+        let shift = 0;
+        let b;
+        do {
+            b = encoded[i++];
+            run |= (b & 0x7f) << shift;
+            shift += 7;
+        } while (b & 0x80);
+        bytes.fill(value, o, Math.min(o + run, length));
+        o += run;
+    }
+    return bytes;
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    const chunk = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunk) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+    }
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+function roundTo(value, digits) {
+    const f = 10 ** digits;
+    return Math.round(value * f) / f;
+}
@@ -0,0 +1,809 @@
+import { createSpawnSampler } from './spawnSampler.js';
+import { computeSignedDistance, sampleDistance, sampleGradient } from './distanceField.js';
+import { createMapping, sameMappingOptions } from './mapping.js';
+import { createSpatialHash, resolveContacts } from './physics.js';
+import { sampleFlow, curlNoise } from './flowField.js';
+import { FINGERTIPS, PINCH_START, PINCH_END, pinchRatio, pinchPoint, handKeys } from './hands.js';
+
+// --- Bubble Simulation ---
+// Headless core: bubble state, spawning, lifespans and keypoint interaction.
+// No DOM, WebGL or Three.js in here, so it runs the same in the browser and under Node.
+// All randomness comes from a seeded RNG, so the same seed and inputs give the same bubbles.
+//
+// Inputs use ml5 shapes: poses are [{ keypoints: [{ x, y, confidence }] }] in source pixels,
+// mask and depth are ImageData-like { data, width, height } (mask in alpha, see personMask.js; depth in red),
+// flow is a motion field from flowField.js, hands are ml5 handPose results (see hands.js).
+// `people` (from personTracker.js) may replace `poses`; each bubble then records the slot of
+// the person it spawned on or was touched by in `owner` (-1 for nobody).
+// World space is centred on the origin and spans width x height (the visible area at z = 0).
+// Source points reach it through config.mapping (see mapping.js). The camera looks down -z
+// from viewDistance, which depth placement needs to keep bubbles over the pixel they came from.
+
+const OBSTACLE_STRIDE = 4;  // mask pixels per distance field cell
+const OBSTACLE_RESTITUTION = 0.3;
+const VELOCITY_DRAG = 3.0;  // per second, for knocks from the silhouette
+const MAX_QUEUED_POPS = 512;  // pops waiting for drainPops(); extras are dropped
+const MIN_POP_AGE = 0.2;  // seconds before a bubble can be popped by touch
+const MIN_MERGE_AGE = 0.5;  // seconds before a bubble can merge, so fresh spawns don't clump
+const HAND_VELOCITY_RATE = 15;  // per second; hand results come slower than steps, so average
+
+// mulberry32: small, fast and good enough for scattering bubbles
+export function createRng(seed = 1) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// config is read live on every step; it needs bubbleCount, bubbleSpeed, bubbleSize,
+// bubbleLifespan, interactionRadius, spawnOnBody, invertMask, spawnWeighting, spawnEdgeFalloff,
+// obstacleMode, obstacleStrength, obstacleMargin, personStylesEnabled, personStyles,
+// popOnTouch, popTouchRadius, popOnExpire, depthPlacement, depthNear, depthFar, depthJitter,
+// physicsMode, physicsBuoyancy, physicsDrag, physicsStiffness, coalescence, coalesceRadius,
+// maxBubbleRadius, flowStrength, ambientStrength, ambientScale, ambientSpeed, handsEnabled,
+// fingerRadius, grabRadius, throwStrength and mapping (optional, defaults from mapping.js).
+//
+// Hands work whatever spawnOnBody says: fingertips push bubbles aside, and a pinch grabs the
+// nearest bubble, which follows the pinch until it opens and is then thrown with the hand's
+// velocity. Held bubbles don't move, age or collide on their own.
+//
+// In physics mode bubbles rise by buoyancy (proportional to radius) against drag instead of
+// at a fixed speed, bump into each other, and small ones merge (see physics.js).
+//
+// `modulation` holds live multipliers on top of config (e.g. from audio input): spawnRate
+// ages bubbles faster so they recycle sooner, speed scales the rise and scale the size.
+//
+// Popped bubbles respawn straight away; the pops are queued as { x, y, z, scale, owner }
+// so the renderer can splash and play sounds for them (see drainPops).
+export function createSimulation({ config, seed = 1, width = 1, height = 1, viewDistance = 20 }) {
+    // Rebuilt lazily the first time a bubble spawns after the mask (or spawn settings) change
+    let spawnSampler = null;
+    let samplerKey = {};
+
+    // Distance field of the current mask, rebuilt once per segmentation result or invertMask change
+    let distanceField = null;
+    let distanceFieldMask = null;
+    let distanceFieldInvert = null;
+
+    // Rebuilt when the bounds, source size or mapping options change
+    let mapping = null;
+    let mappingKey = null;
+
+    const spatialHash = createSpatialHash();
+
+    // Pinch state per hand key: { pinching, bubble, x, y, vx, vy } in world units
+    const pinches = new Map();
+
+    const sim = {
+        config,
+        bubbles: [],
+        time: 0,
+        random: createRng(seed),
+        width,
+        height,
+        viewDistance,
+        inputs: {
+            poses: [],
+            people: null,
+            mask: null,
+            depth: null,
+            flow: null,
+            hands: [],
+            sourceWidth: 0,
+            sourceHeight: 0
+        },
+        pops: [],
+        modulation: {
+            spawnRate: 1,
+            speed: 1,
+            scale: 1
+        },
+        stats: {
+            spawns: 0,
+            failedSpawns: 0,
+            pops: 0,
+            merges: 0
+        },
+
+        setBounds(newWidth, newHeight) {
+            sim.width = newWidth;
+            sim.height = newHeight;
+        },
+
+        // Partial update; anything not passed keeps its previous value
+        setInputs(inputs) {
+            Object.assign(sim.inputs, inputs);
+        },
+
+        // Rebuilds every bubble; passing a seed also restarts the RNG and the clock
+        reset(newSeed) {
+            if (newSeed !== undefined) {
+                sim.random = createRng(newSeed);
+                sim.time = 0;
+            }
+            sim.bubbles = [];
+            pinches.clear();
+            for (let i = 0; i < config.bubbleCount; i++) {
+                sim.bubbles.push(createBubble(i));
+            }
+        },
+
+        // Adds or drops bubbles at the end of the list and leaves the rest alone; dropped
+        // bubbles are let go of, new ones spawn as if recycled
+        resize(count) {
+            if (count < sim.bubbles.length) {
+                const dropped = new Set(sim.bubbles.slice(count));
+                pinches.forEach(pinch => {
+                    if (dropped.has(pinch.bubble)) pinch.bubble = null;
+                });
+                sim.bubbles.length = count;
+            }
+            while (sim.bubbles.length < count) {
+                const bubble = createBubble(sim.bubbles.length);
+                respawnBubble(bubble);
+                sim.bubbles.push(bubble);
+            }
+        },
+
+        respawn: respawnBubble,
+        pop: popBubble,
+
+        // Returns the pops since the last call and clears the queue
+        drainPops() {
+            const pops = sim.pops;
+            sim.pops = [];
+            return pops;
+        },
+
+        // Respawns `count` bubbles around a world point and sends them outward
+        burst({ x, y, count = 30, spread = 2, speed = 6, owner = -1 }) {
+            const random = sim.random;
+            const n = Math.min(count, sim.bubbles.length);
+            for (let i = 0; i < n; i++) {
+                const bubble = sim.bubbles[Math.floor(random() * sim.bubbles.length)];
+                // Leave bubbles in a hand where they are
+                if (bubble.held) continue;
+                respawnBubble(bubble);
+                const angle = random() * Math.PI * 2;
+                const r = Math.sqrt(random()) * spread;
+                bubble.position.x = x + Math.cos(angle) * r;
+                bubble.position.y = y + Math.sin(angle) * r;
+                bubble.velocity.x = Math.cos(angle) * speed * (0.5 + random());
+                bubble.velocity.y = Math.sin(angle) * speed * (0.5 + random());
+                setOwner(bubble, owner);
+            }
+        },
+
+        step(dt) {
+            sim.time += dt;
+            const points = config.spawnOnBody ? [] : sim.getInteractionPoints();
+            const field = config.obstacleMode ? sim.getDistanceField() : null;
+            const hands = config.popOnTouch ? sim.getHandPoints() : [];
+            const handsEnabled = config.handsEnabled !== false;
+            const fingertips = handsEnabled ? sim.getFingertipPoints() : [];
+            if (handsEnabled) updatePinches(dt);
+            else releaseAll();
+            for (let i = 0; i < sim.bubbles.length; i++) {
+                const bubble = sim.bubbles[i];
+                if (bubble.held) continue;
+                stepBubble(bubble, dt, points);
+                if (fingertips.length) pushFromFingertips(bubble, fingertips, dt);
+                if (field) collideWithSilhouette(bubble, field, dt);
+                if (hands.length) popOnTouch(bubble, hands);
+            }
+            if (config.physicsMode) {
+                sim.stats.merges += resolveContacts(sim.bubbles, spatialHash, {
+                    dt,
+                    stiffness: config.physicsStiffness,
+                    coalescence: config.coalescence,
+                    coalesceRadius: config.coalesceRadius,
+                    maxRadius: config.maxBubbleRadius,
+                    canMerge: bubble => !bubble.held && sim.time - bubble.birthTime >= MIN_MERGE_AGE
+                }, (survivor, absorbed) => respawnBubble(absorbed));
+            }
+        },
+
+        // Maps a point in source pixels to world space
+        sourceToWorld(x, y, sourceWidth = sim.inputs.sourceWidth, sourceHeight = sim.inputs.sourceHeight) {
+            return sim.getMapping().toWorld(x / sourceWidth, y / sourceHeight);
+        },
+
+        // World z for a depth value (0 = near, 1 = far), between depthNear and depthFar
+        depthToZ(depth) {
+            const near = config.depthNear ?? 8;
+            const far = config.depthFar ?? -8;
+            return near + (far - near) * depth;
+        },
+
+        // The current camera-to-world mapping (normalised source <-> world)
+        getMapping() {
+            const options = config.mapping || null;
+            const { sourceWidth, sourceHeight } = sim.inputs;
+            const key = mappingKey;
+            const stale = !key || key.width !== sim.width || key.height !== sim.height ||
+                key.sourceWidth !== sourceWidth || key.sourceHeight !== sourceHeight ||
+                !sameMappingOptions(key.options, options);
+            if (stale) {
+                mapping = createMapping(options || {}, {
+                    worldWidth: sim.width,
+                    worldHeight: sim.height,
+                    sourceWidth,
+                    sourceHeight
+                });
+                mappingKey = { width: sim.width, height: sim.height, sourceWidth, sourceHeight, options: options && { ...options } };
+            }
+            return mapping;
+        },
+
+        getDistanceField() {
+            const { mask } = sim.inputs;
+            if (!mask || !mask.data) return null;
+            if (mask !== distanceFieldMask || config.invertMask !== distanceFieldInvert) {
+                distanceField = computeSignedDistance(mask, OBSTACLE_STRIDE, config.invertMask);
+                distanceFieldMask = mask;
+                distanceFieldInvert = config.invertMask;
+            }
+            return distanceField.hasPerson ? distanceField : null;
+        },
+
+        getSpawnSampler() {
+            const { mask, depth } = sim.inputs;
+            if (!mask || !mask.data) return null;
+
+            const weighting = config.spawnWeighting || 'uniform';
+            const key = {
+                mask,
+                depth: weighting === 'depth' ? depth : null,
+                invert: config.invertMask,
+                weighting,
+                edgeFalloff: config.spawnEdgeFalloff
+            };
+            const stale = Object.keys(key).some(name => key[name] !== samplerKey[name]);
+            if (stale) {
+                spawnSampler = createSpawnSampler(mask, {
+                    invert: key.invert,
+                    weighting,
+                    depth,
+                    edgeFalloff: key.edgeFalloff
+                });
+                samplerKey = key;
+            }
+            return spawnSampler;
+        },
+
+        // Knocks every bubble within radius away from a world point
+        push({ x, y, strength = 15, radius = 12 }) {
+            sim.bubbles.forEach(bubble => {
+                const dx = bubble.position.x - x;
+                const dy = bubble.position.y - y;
+                const dist = Math.sqrt(dx * dx + dy * dy);
+                if (dist >= radius || dist < 1e-6) return;
+                const force = strength * (1 - dist / radius);
+                bubble.velocity.x += (dx / dist) * force;
+                bubble.velocity.y += (dy / dist) * force;
+            });
+        },
+
+        // Removes bubbles within radius of a world point; returns how many went
+        popNear({ x, y, radius = 3 }) {
+            let count = 0;
+            sim.bubbles.forEach(bubble => {
+                if (bubble.held) return;
+                const dx = bubble.position.x - x;
+                const dy = bubble.position.y - y;
+                if (dx * dx + dy * dy < radius * radius) {
+                    popBubble(bubble);
+                    count++;
+                }
+            });
+            return count;
+        },
+
+        // World-space points that push bubbles: arm/leg keypoints and the torso centre
+        getInteractionPoints() {
+            const points = [];
+            const { sourceWidth, sourceHeight } = sim.inputs;
+            if (!sourceWidth || !sourceHeight) return points;
+
+            trackedPoses().forEach(({ pose, owner }) => {
+                if (!pose.keypoints) return;
+                const addPoint = (x, y) => {
+                    const point = sim.sourceToWorld(x, y);
+                    point.owner = owner;
+                    points.push(point);
+                };
+
+                // Interact with Arms and Legs (Indices 5-16)
+                pose.keypoints.forEach((keypoint, index) => {
+                    if (index >= 5 && index <= 16 && keypoint && keypoint.confidence >= 0.2) {
+                        addPoint(keypoint.x, keypoint.y);
+                    }
+                });
+
+                // Interact with Torso (Average of Shoulders 5,6 and Hips 11,12)
+                const s1 = pose.keypoints[5];
+                const s2 = pose.keypoints[6];
+                const h1 = pose.keypoints[11];
+                const h2 = pose.keypoints[12];
+
+                if (s1 && s2 && h1 && h2 && s1.confidence > 0.1 && s2.confidence > 0.1 && h1.confidence > 0.1 && h2.confidence > 0.1) {
+                    const torsoX = (s1.x + s2.x + h1.x + h2.x) / 4;
+                    const torsoY = (s1.y + s2.y + h1.y + h2.y) / 4;
+                    addPoint(torsoX, torsoY);
+                }
+            });
+            return points;
+        },
+
+        // World-space wrist positions, tagged with the owner slot
+        getHandPoints() {
+            const points = [];
+            const { sourceWidth, sourceHeight } = sim.inputs;
+            if (!sourceWidth || !sourceHeight) return points;
+
+            trackedPoses().forEach(({ pose, owner }) => {
+                if (!pose.keypoints) return;
+                [9, 10].forEach(index => {
+                    const keypoint = pose.keypoints[index];
+                    if (keypoint && keypoint.confidence >= 0.3) {
+                        const point = sim.sourceToWorld(keypoint.x, keypoint.y);
+                        point.owner = owner;
+                        points.push(point);
+                    }
+                });
+            });
+            return points;
+        },
+
+        // World-space fingertips of every tracked hand
+        getFingertipPoints() {
+            const points = [];
+            const { sourceWidth, sourceHeight, hands } = sim.inputs;
+            if (!sourceWidth || !sourceHeight || !hands) return points;
+
+            hands.forEach(hand => {
+                if (!hand.keypoints || hand.keypoints.length < 21) return;
+                FINGERTIPS.forEach(index => {
+                    const keypoint = hand.keypoints[index];
+                    points.push(sim.sourceToWorld(keypoint.x, keypoint.y));
+                });
+            });
+            return points;
+        },
+
+        // World positions of the pinches currently holding a bubble
+        getGrabs() {
+            const grabs = [];
+            pinches.forEach(pinch => {
+                if (pinch.bubble) grabs.push({ x: pinch.x, y: pinch.y, bubble: pinch.bubble });
+            });
+            return grabs;
+        },
+
+        // Style for a person slot, or null when per-person styles are off
+        getStyle(owner) {
+            const styles = config.personStyles;
+            if (!config.personStylesEnabled || owner < 0 || !styles || !styles.length) return null;
+            return styles[owner % styles.length];
+        }
+    };
+
+    // Current poses with the slot of the person they belong to (-1 without a tracker)
+    function trackedPoses() {
+        const { poses, people } = sim.inputs;
+        if (people) {
+            return people.filter(person => person.pose).map(person => ({ pose: person.pose, owner: person.slot }));
+        }
+        return (poses || []).map(pose => ({ pose, owner: -1 }));
+    }
+
+    function setOwner(bubble, owner) {
+        bubble.owner = owner;
+        const style = sim.getStyle(owner);
+        bubble.initialScale = bubble.baseScale * (style ? style.sizeMultiplier : 1) * bubble.growth;
+        bubble.speedMultiplier = style ? style.speedMultiplier : 1;
+    }
+
+    // The person whose bounds contain a normalised source point, else the nearest within reach
+    function findOwner(u, v) {
+        const { people } = sim.inputs;
+        if (!people) return -1;
+
+        let owner = -1;
+        let best = 0.3;
+        people.forEach(person => {
+            if (!person.visible) return;
+            const { minU, minV, maxU, maxV } = person.bounds;
+            const pad = 0.05;
+            const inside = u >= minU - pad && u <= maxU + pad && v >= minV - pad && v <= maxV + pad;
+            const du = u - person.centroid.u;
+            const dv = v - person.centroid.v;
+            const distance = inside ? 0 : Math.sqrt(du * du + dv * dv);
+            if (distance < best) {
+                best = distance;
+                owner = person.slot;
+            }
+        });
+        return owner;
+    }
+
+    function createBubble(index) {
+        const random = sim.random;
+        const scale = random() * config.bubbleSize + 0.1;
+
+        const maxOffset = Math.max(config.bubbleLifespan, 5);
+        const indexOffset = (index / config.bubbleCount) * maxOffset;  // Spread evenly across full range
+        const birthRandomOffset = random() * (maxOffset / config.bubbleCount);  // Add some randomness to each slot
+
+        const bubble = {
+            position: {
+                x: (random() - 0.5) * sim.width * 1.5,
+                y: (random() - 0.5) * sim.height * 1.5,
+                z: (random() - 0.5) * 15
+            },
+            // Extra velocity from knocks (silhouette bounces), decays with drag
+            velocity: { x: 0, y: 0 },
+            scale,
+            opacity: 1,
+            velocityMultiplier: random() * 0.1,  // Store multiplier, not actual velocity
+            speedMultiplier: 1,
+            baseScale: scale,
+            initialScale: scale,
+            growth: 1,  // volume gained by merging (physics mode)
+            held: false,  // following a pinch
+            owner: -1,
+            birthTime: sim.time - indexOffset - birthRandomOffset,  // Stagger across full lifespan
+            lifespanMultiplier: 0.5 + random() * 1.0,  // Random 0.5-1.5x multiplier for more variation
+            depth: 0.5,  // Default mid-depth, will be updated on spawn
+            depthPlaced: false  // z came from the depth map, so perspective already sizes it
+        };
+
+        // Use proper spawn logic to position bubble initially
+        if (config.spawnOnBody && sim.inputs.mask) {
+            respawnBubble(bubble);
+        }
+        return bubble;
+    }
+
+    function stepBubble(bubble, dt, points) {
+        const time = sim.time;
+
+        const velocity = riseSpeed(bubble);
+
+        if (config.physicsMode) {
+            bubble.velocity.y += buoyancy(bubble) * dt;
+        } else {
+            bubble.position.y += velocity * dt;
+        }
+
+        const drag = Math.exp(-(config.physicsMode ? config.physicsDrag : VELOCITY_DRAG) * dt);
+        bubble.velocity.x *= drag;
+        bubble.velocity.y *= drag;
+        bubble.position.x += bubble.velocity.x * dt;
+        bubble.position.y += bubble.velocity.y * dt;
+
+        // Ambient swirl: neighbours drift together along a slowly changing curl-noise field
+        const ambientScale = config.ambientScale ?? 0.15;
+        const swirl = curlNoise(bubble.position.x * ambientScale, bubble.position.y * ambientScale,
+            time * (config.ambientSpeed ?? 0.2));
+        const ambient = config.ambientStrength ?? 1;
+        bubble.position.x += swirl.x * ambient * dt;
+        bubble.position.y += swirl.y * ambient * dt;
+
+        if (sim.inputs.flow && config.flowStrength > 0) advectWithFlow(bubble, sim.inputs.flow, dt);
+
+        // Scale based on depth: closer objects (higher depth value) are larger.
+        // depth ranges from 0 (far) to 1 (close), giving a 0.5x to 2.0x scale
+        const depthScale = bubble.depthPlaced ? 1 : 0.5 + (bubble.depth * 1.5);
+        bubble.scale = bubble.initialScale * depthScale * sim.modulation.scale;
+
+        // Check lifespan
+        if (config.bubbleLifespan > 0) {
+            // A higher spawn rate ages bubbles faster, so they respawn sooner
+            bubble.birthTime -= (sim.modulation.spawnRate - 1) * dt;
+            const actualLifespan = config.bubbleLifespan * bubble.lifespanMultiplier;
+            const age = time - bubble.birthTime;
+            if (age > actualLifespan) {
+                if (config.popOnExpire) popBubble(bubble);
+                else respawnBubble(bubble);
+                return;
+            }
+
+            // Fade out in last 20% of life
+            const lifeFraction = age / actualLifespan;
+            bubble.opacity = lifeFraction > 0.8 ? 1 - ((lifeFraction - 0.8) / 0.2) : 1;
+        }
+
+        if (bubble.position.y > sim.height / 2 + 5) {
+            respawnBubble(bubble);
+        }
+
+        for (let i = 0; i < points.length; i++) {
+            interactWithPoint(bubble, points[i], dt);
+        }
+    }
+
+    // Rates are per second; they match the old per-frame amounts at 60fps
+    function riseSpeed(bubble) {
+        return config.bubbleSpeed * sim.modulation.speed * bubble.velocityMultiplier * bubble.speedMultiplier * 60;
+    }
+
+    // Upward acceleration in physics mode; bigger bubbles rise faster
+    function buoyancy(bubble) {
+        return config.physicsBuoyancy * bubble.scale * sim.modulation.speed * bubble.speedMultiplier;
+    }
+
+    function respawnBubble(bubble) {
+        const random = sim.random;
+        // Anything else that recycles a held bubble takes it out of the hand first
+        if (bubble.held) {
+            pinches.forEach(pinch => {
+                if (pinch.bubble === bubble) pinch.bubble = null;
+            });
+            bubble.held = false;
+        }
+        let spawned = false;
+        let owner = -1;
+        bubble.depthPlaced = false;
+
+        if (config.spawnOnBody) {
+            const sampler = sim.getSpawnSampler();
+            const point = sampler ? sampler.sample(random) : null;
+            if (point) {
+                const world = sim.getMapping().toWorld(point.u, point.v);
+                bubble.position.x = world.x;
+                bubble.position.y = world.y;
+
+                // Store depth inverted: closer objects get a higher value and larger bubbles
+                bubble.depth = 1.0 - sampleDepth(sim.inputs.depth, point.u, point.v);
+                if (config.depthPlacement && sim.inputs.depth) placeAtDepth(bubble, random);
+                owner = findOwner(point.u, point.v);
+                spawned = true;
+            } else if (sampler) {
+                // The mask has no valid pixel at all (e.g. nobody in frame with Invert Mask off)
+                sim.stats.failedSpawns++;
+            }
+        }
+
+        if (!spawned) {
+            // Fallback to bottom
+            bubble.position.x = (random() - 0.5) * sim.width;
+            bubble.position.y = -sim.height / 2 - 5;
+        }
+
+        sim.stats.spawns++;
+        if (!bubble.depthPlaced) bubble.position.z = (random() - 0.5) * 15;
+
+        // Reset birth time for lifespan tracking
+        bubble.birthTime = sim.time;
+
+        // Reset lifespan multiplier for variation
+        bubble.lifespanMultiplier = 0.5 + random() * 1.0;
+
+        bubble.opacity = 1;
+        bubble.velocity.x = 0;
+        bubble.velocity.y = 0;
+        bubble.growth = 1;
+        setOwner(bubble, owner);
+    }
+
+    // Moves a bubble to the depth it was sampled at, pulled towards the centre of the view by
+    // the perspective so it still covers the same pixel as its spot on z = 0
+    function placeAtDepth(bubble, random) {
+        const z = sim.depthToZ(1 - bubble.depth) + (random() - 0.5) * (config.depthJitter || 0);
+        const perspective = Math.max(sim.viewDistance - z, 0.1) / sim.viewDistance;
+        bubble.position.x *= perspective;
+        bubble.position.y *= perspective;
+        bubble.position.z = z;
+        bubble.depthPlaced = true;
+    }
+
+    function popBubble(bubble) {
+        sim.stats.pops++;
+        if (sim.pops.length < MAX_QUEUED_POPS) {
+            sim.pops.push({
+                x: bubble.position.x,
+                y: bubble.position.y,
+                z: bubble.position.z,
+                scale: bubble.scale,
+                owner: bubble.owner
+            });
+        }
+        respawnBubble(bubble);
+    }
+
+    // Camera motion under the bubble speeds it up in the same direction; drag lets it settle
+    function advectWithFlow(bubble, flow, dt) {
+        const map = sim.getMapping();
+        const { u, v } = map.toSource(bubble.position.x, bubble.position.y);
+        const motion = sampleFlow(flow, u, v);
+        if (!motion || (motion.u === 0 && motion.v === 0)) return;
+        const world = map.vectorToWorld(motion.u, motion.v);
+        bubble.velocity.x += world.x * config.flowStrength * dt;
+        bubble.velocity.y += world.y * config.flowStrength * dt;
+    }
+
+    // Grabs, drags and throws bubbles with pinches; hands that vanish drop what they hold
+    function updatePinches(dt) {
+        const { sourceWidth, sourceHeight } = sim.inputs;
+        const hands = (sim.inputs.hands || []).filter(hand => hand.keypoints && hand.keypoints.length >= 21);
+        const keys = handKeys(hands);
+        const seen = new Set();
+        if (sourceWidth && sourceHeight) {
+            hands.forEach((hand, i) => {
+                const key = keys[i];
+                seen.add(key);
+                const point = pinchPoint(hand);
+                const world = sim.sourceToWorld(point.x, point.y);
+                let pinch = pinches.get(key);
+                if (!pinch) {
+                    pinch = { pinching: false, bubble: null, x: world.x, y: world.y, vx: 0, vy: 0 };
+                    pinches.set(key, pinch);
+                }
+
+                const blend = 1 - Math.exp(-HAND_VELOCITY_RATE * dt);
+                pinch.vx += ((world.x - pinch.x) / dt - pinch.vx) * blend;
+                pinch.vy += ((world.y - pinch.y) / dt - pinch.vy) * blend;
+                pinch.x = world.x;
+                pinch.y = world.y;
+
+                const ratio = pinchRatio(hand);
+                if (!pinch.pinching && ratio < PINCH_START) {
+                    pinch.pinching = true;
+                    pinch.bubble = findGrabbable(pinch.x, pinch.y);
+                    if (pinch.bubble) pinch.bubble.held = true;
+                } else if (pinch.pinching && ratio > PINCH_END) {
+                    pinch.pinching = false;
+                    release(pinch);
+                }
+
+                const bubble = pinch.bubble;
+                if (bubble) {
+                    bubble.position.x = pinch.x;
+                    bubble.position.y = pinch.y;
+                    bubble.velocity.x = 0;
+                    bubble.velocity.y = 0;
+                    bubble.birthTime = sim.time;
+                    bubble.opacity = 1;
+                }
+            });
+        }
+
+        pinches.forEach((pinch, key) => {
+            if (seen.has(key)) return;
+            release(pinch);
+            pinches.delete(key);
+        });
+    }
+
+    function releaseAll() {
+        pinches.forEach(release);
+        pinches.clear();
+    }
+
+    // Lets go, throwing the bubble with the hand's recent velocity
+    function release(pinch) {
+        const bubble = pinch.bubble;
+        if (!bubble) return;
+        bubble.held = false;
+        bubble.velocity.x = pinch.vx * (config.throwStrength ?? 1);
+        bubble.velocity.y = pinch.vy * (config.throwStrength ?? 1);
+        pinch.bubble = null;
+    }
+
+    function findGrabbable(x, y) {
+        let best = null;
+        let bestDistSq = (config.grabRadius ?? 2) ** 2;
+        sim.bubbles.forEach(bubble => {
+            if (bubble.held || bubble.opacity < 0.2) return;
+            const dx = bubble.position.x - x;
+            const dy = bubble.position.y - y;
+            const distSq = dx * dx + dy * dy;
+            if (distSq < bestDistSq) {
+                best = bubble;
+                bestDistSq = distSq;
+            }
+        });
+        return best;
+    }
+
+    function pushFromFingertips(bubble, fingertips, dt) {
+        const radius = config.fingerRadius ?? 1;
+        for (let i = 0; i < fingertips.length; i++) {
+            const dx = bubble.position.x - fingertips[i].x;
+            const dy = bubble.position.y - fingertips[i].y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist >= radius || dist < 1e-6) continue;
+            const force = (radius - dist) / radius;
+            const push = 48 * dt;  // same as the body keypoints
+            bubble.position.x += (dx / dist) * force * push;
+            bubble.position.y += (dy / dist) * force * push;
+        }
+    }
+
+    function popOnTouch(bubble, hands) {
+        if (sim.time - bubble.birthTime < MIN_POP_AGE) return;
+        const reach = bubble.scale + config.popTouchRadius;
+        for (let i = 0; i < hands.length; i++) {
+            const dx = bubble.position.x - hands[i].x;
+            const dy = bubble.position.y - hands[i].y;
+            if (dx * dx + dy * dy < reach * reach) {
+                popBubble(bubble);
+                return;
+            }
+        }
+    }
+
+    // Pushes bubbles out of the person's outline and bounces them off it
+    function collideWithSilhouette(bubble, field, dt) {
+        const map = sim.getMapping();
+        const { u, v } = map.toSource(bubble.position.x, bubble.position.y);
+        const cells = sampleDistance(field, u, v);
+        if (cells === Infinity) return;
+
+        const scale = map.worldPerSource();
+        const cellSize = (scale.u / field.width + scale.v / field.height) / 2;
+        const distance = cells * cellSize;
+        const reach = config.obstacleMargin + bubble.scale;
+
+        // Leave bubbles deep inside the body alone (e.g. spawned there with Invert Mask off)
+        if (distance >= reach || distance < -reach) return;
+
+        // The gradient points away from the person in mask coordinates; map it to the world
+        const gradient = sampleGradient(field, u, v);
+        const { x: nx, y: ny } = map.directionToWorld(gradient.x, gradient.y);
+        if (nx === 0 && ny === 0) return;
+
+        const penetration = reach - distance;
+        const correction = Math.min(penetration, penetration * config.obstacleStrength * 10 * dt);
+        bubble.position.x += nx * correction;
+        bubble.position.y += ny * correction;
+
+        // Cancel the motion into the surface (rise included) and bounce back a little
+        const rise = riseSpeed(bubble);
+        const approach = -(bubble.velocity.x * nx + (bubble.velocity.y + rise) * ny);
+        if (approach > 0) {
+            const impulse = approach * (1 + OBSTACLE_RESTITUTION) * Math.min(1, config.obstacleStrength);
+            bubble.velocity.x += nx * impulse;
+            bubble.velocity.y += ny * impulse;
+        }
+    }
+
+    function interactWithPoint(bubble, target, dt) {
+        const dx = bubble.position.x - target.x;
+        const dy = bubble.position.y - target.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+
+        if (dist < config.interactionRadius) {
+            const force = (config.interactionRadius - dist) / config.interactionRadius;
+            const angle = Math.atan2(dy, dx);
+
+            const push = 48 * dt;  // 0.8 per frame at 60fps
+            bubble.position.x += Math.cos(angle) * force * push;
+            bubble.position.y += Math.sin(angle) * force * push;
+
+            bubble.scale = bubble.initialScale * (1 + force * 0.5);
+
+            // Touched bubbles take on that person's style
+            if (target.owner >= 0 && target.owner !== bubble.owner) setOwner(bubble, target.owner);
+        } else {
+            // Ease back 10% per 60fps frame
+            bubble.scale += (bubble.initialScale - bubble.scale) * (1 - Math.pow(0.9, dt * 60));
+        }
+    }
+
+    return sim;
+}
+
+// Depth at normalised source coordinates, 0 = near, 1 = far; 0.5 when there's no depth map
+export function sampleDepth(depth, u, v) {
+    if (!depth || !depth.data) return 0.5;
+    const x = Math.min(depth.width - 1, Math.floor(u * depth.width));
+    const y = Math.min(depth.height - 1, Math.floor(v * depth.height));
+    // Depth is typically stored in grayscale (r=g=b), normalized 0-255
+    return depth.data[(y * depth.width + x) * 4] / 255.0;
+}
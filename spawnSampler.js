@@ -0,0 +1,153 @@
+import { computeSignedDistance } from './distanceField.js';
+import { PERSON_THRESHOLD, personAlpha } from './personMask.js';
+
+// --- Spawn Sampler ---
+// Built once per segmentation result. The mask is split into stride x stride cells; a cell
+// is valid if any of its pixels is, and keeps a list of those pixels. Sampling picks a cell
+// (weighted by how many valid pixels it has, times the mode's weight) through a Walker/Vose
+// alias table, then one of its valid pixels, then a point inside that pixel. Uniform skips
+// the cells and picks from all valid pixels at once. So drawing a
+// spawn point is O(1), always lands on a valid pixel, and never misses a valid region
+// thinner than a cell.
+//
+//   uniform - every valid pixel equally likely
+//   depth   - favour cells closer to the camera
+//   edge    - favour cells near the silhouette outline (falloff is a fraction of mask height)
+
+export const SPAWN_WEIGHTINGS = ['uniform', 'depth', 'edge'];
+
+export function createSpawnSampler(mask, { invert = false, stride = 2, weighting = 'uniform', depth = null, edgeFalloff = 0.05 } = {}) {
+    const cols = Math.ceil(mask.width / stride);
+    const rows = Math.ceil(mask.height / stride);
+    // Valid pixels grouped per valid cell: cell i owns pixels[pixelStart[i]..pixelStart[i + 1]).
+    // Two row-major passes over the mask: count per cell, then place each pixel.
+    const perCell = new Int32Array(cols * rows);
+    const { data, width, height } = mask;
+    const colCell = new Int32Array(width);
+    for (let mx = 0; mx < width; mx++) colCell[mx] = Math.floor(mx / stride);
+    for (let my = 0; my < height; my++) {
+        const rowCell = Math.floor(my / stride) * cols;
+        for (let mx = 0; mx < width; mx++) {
+            if (personAlpha(data[(my * width + mx) * 4 + 3], invert) > PERSON_THRESHOLD) perCell[rowCell + colCell[mx]]++;
+        }
+    }
+
+    const cells = new Int32Array(cols * rows);
+    const pixelStart = new Int32Array(cols * rows + 1);
+    let pixelCount = 0;
+    let count = 0;
+    for (let cell = 0; cell < cols * rows; cell++) {
+        if (perCell[cell] === 0) continue;
+        pixelStart[count] = pixelCount;
+        cells[count] = cell;
+        pixelCount += perCell[cell];
+        // From here on perCell holds the cell's next free slot in pixels
+        perCell[cell] = pixelStart[count];
+        count++;
+    }
+    pixelStart[count] = pixelCount;
+
+    const pixels = new Int32Array(pixelCount);
+    for (let my = 0; my < height; my++) {
+        const rowCell = Math.floor(my / stride) * cols;
+        for (let mx = 0; mx < width; mx++) {
+            const pixel = my * width + mx;
+            if (personAlpha(data[pixel * 4 + 3], invert) > PERSON_THRESHOLD) pixels[perCell[rowCell + colCell[mx]]++] = pixel;
+        }
+    }
+
+    const valid = cells.subarray(0, count);
+    let weights = null;
+    if (count > 0 && weighting === 'depth' && depth && depth.data) {
+        weights = depthWeights(valid, cols, rows, depth);
+    } else if (count > 0 && weighting === 'edge') {
+        weights = edgeWeights(valid, mask, stride, invert, edgeFalloff * rows);
+    }
+    let table = null;
+    if (weights) {
+        for (let i = 0; i < count; i++) weights[i] *= pixelStart[i + 1] - pixelStart[i];
+        table = buildAliasTable(weights);
+    }
+
+    return {
+        count,
+        // Returns normalised mask coordinates { u, v } in [0, 1), or null if nothing is valid
+        sample(random) {
+            if (count === 0) return null;
+
+            // Uniform needs no table: any valid pixel will do
+            let pixel = pixels[Math.floor(random() * pixelCount)];
+            if (table) {
+                let i = Math.floor(random() * count);
+                if (random() >= table.prob[i]) i = table.alias[i];
+                const first = pixelStart[i];
+                pixel = pixels[first + Math.floor(random() * (pixelStart[i + 1] - first))];
+            }
+            const mx = pixel % mask.width;
+            const my = (pixel - mx) / mask.width;
+            return {
+                u: Math.min(1 - 1e-6, (mx + random()) / mask.width),
+                v: Math.min(1 - 1e-6, (my + random()) / mask.height)
+            };
+        }
+    };
+}
+
+function depthWeights(cells, cols, rows, depth) {
+    const weights = new Float32Array(cells.length);
+    for (let i = 0; i < cells.length; i++) {
+        const cx = cells[i] % cols;
+        const cy = (cells[i] - cx) / cols;
+        const dx = Math.min(depth.width - 1, Math.floor((cx / cols) * depth.width));
+        const dy = Math.min(depth.height - 1, Math.floor((cy / rows) * depth.height));
+        // Lower values = closer; keep a floor so the far background can still spawn
+        weights[i] = 1.05 - depth.data[(dy * depth.width + dx) * 4] / 255;
+    }
+    return weights;
+}
+
+function edgeWeights(cells, mask, stride, invert, falloffCells) {
+    const field = computeSignedDistance(mask, stride, invert);
+    const falloff = Math.max(falloffCells, 1);
+    const weights = new Float32Array(cells.length);
+    for (let i = 0; i < cells.length; i++) {
+        const distance = field.hasPerson ? Math.abs(field.data[cells[i]]) : 0;
+        weights[i] = Math.exp(-distance / falloff) + 1e-3;
+    }
+    return weights;
+}
+
+// Vose's alias method
+function buildAliasTable(weights) {
+    const n = weights.length;
+    const prob = new Float32Array(n);
+    const alias = new Int32Array(n);
+    const scaled = new Float64Array(n);
+    const small = new Int32Array(n);
+    const large = new Int32Array(n);
+    let smallCount = 0;
+    let largeCount = 0;
+
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += weights[i];
+
+    for (let i = 0; i < n; i++) {
+        scaled[i] = (weights[i] * n) / sum;
+        if (scaled[i] < 1) small[smallCount++] = i;
+        else large[largeCount++] = i;
+    }
+
+    while (smallCount > 0 && largeCount > 0) {
+        const s = small[--smallCount];
+        const l = large[--largeCount];
+        prob[s] = scaled[s];
+        alias[s] = l;
+        scaled[l] = scaled[l] + scaled[s] - 1;
+        if (scaled[l] < 1) small[smallCount++] = l;
+        else large[largeCount++] = l;
+    }
+    while (largeCount > 0) prob[large[--largeCount]] = 1;
+    while (smallCount > 0) prob[small[--smallCount]] = 1;
+
+    return { prob, alias };
+}
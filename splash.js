@@ -0,0 +1,114 @@
+import * as THREE from 'three';
+
+// --- Splash Particles ---
+// A fixed pool of droplets drawn as one Points object. Each pop throws a handful of droplets
+// outward; they fall, shrink and fade. When the pool is full the oldest droplets are reused.
+
+const GRAVITY = -12;
+const DROPLET_LIFE = 0.6;  // seconds
+
+export function createSplash(capacity = 4000) {
+    const positions = new Float32Array(capacity * 3);
+    const colors = new Float32Array(capacity * 3);
+    const alphas = new Float32Array(capacity);
+    const sizes = new Float32Array(capacity);
+    const velocities = new Float32Array(capacity * 3);
+    const ages = new Float32Array(capacity).fill(DROPLET_LIFE);
+    const baseSizes = new Float32Array(capacity);
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('alpha', new THREE.BufferAttribute(alphas, 1).setUsage(THREE.DynamicDrawUsage));
+    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1).setUsage(THREE.DynamicDrawUsage));
+
+    const material = new THREE.ShaderMaterial({
+        vertexShader: `
+            attribute float alpha;
+            attribute float size;
+            varying float vAlpha;
+            varying vec3 vColor;
+            void main() {
+                vAlpha = alpha;
+                vColor = color;
+                vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                gl_PointSize = size * (300.0 / -mvPosition.z);
+                gl_Position = projectionMatrix * mvPosition;
+            }
+        `,
+        fragmentShader: `
+            varying float vAlpha;
+            varying vec3 vColor;
+            void main() {
+                float d = length(gl_PointCoord - 0.5);
+                if (d > 0.5) discard;
+                gl_FragColor = vec4(vColor, vAlpha * smoothstep(0.5, 0.2, d));
+            }
+        `,
+        vertexColors: true,
+        transparent: true,
+        depthWrite: false
+    });
+
+    const points = new THREE.Points(geometry, material);
+    points.frustumCulled = false;
+
+    let next = 0;
+    let live = false;  // any droplet still visible
+
+    return {
+        object: points,
+
+        // Throws droplets from a pop ({ x, y, z, scale }) in the given THREE.Color
+        emit(pop, color, count = Math.round(6 + pop.scale * 14)) {
+            for (let n = 0; n < count; n++) {
+                const i = next;
+                next = (next + 1) % capacity;
+
+                const angle = Math.random() * Math.PI * 2;
+                const speed = (2 + Math.random() * 4) * (0.6 + pop.scale);
+                positions[i * 3] = pop.x + Math.cos(angle) * pop.scale * 0.8;
+                positions[i * 3 + 1] = pop.y + Math.sin(angle) * pop.scale * 0.8;
+                positions[i * 3 + 2] = pop.z;
+                velocities[i * 3] = Math.cos(angle) * speed;
+                velocities[i * 3 + 1] = Math.sin(angle) * speed + 2;
+                velocities[i * 3 + 2] = (Math.random() - 0.5) * speed;
+                colors[i * 3] = color.r;
+                colors[i * 3 + 1] = color.g;
+                colors[i * 3 + 2] = color.b;
+                baseSizes[i] = 0.05 + Math.random() * 0.1 * (0.5 + pop.scale);
+                ages[i] = 0;
+            }
+            live = true;
+            geometry.attributes.color.needsUpdate = true;
+        },
+
+        update(dt) {
+            if (!live) return;
+
+            let alive = 0;
+            for (let i = 0; i < capacity; i++) {
+                if (ages[i] >= DROPLET_LIFE) {
+                    alphas[i] = 0;
+                    continue;
+                }
+                alive++;
+                ages[i] += dt;
+                velocities[i * 3 + 1] += GRAVITY * dt;
+                positions[i * 3] += velocities[i * 3] * dt;
+                positions[i * 3 + 1] += velocities[i * 3 + 1] * dt;
+                positions[i * 3 + 2] += velocities[i * 3 + 2] * dt;
+
+                const life = Math.max(0, 1 - ages[i] / DROPLET_LIFE);
+                alphas[i] = 0.9 * life;
+                sizes[i] = baseSizes[i] * (0.4 + 0.6 * life);
+            }
+            // Skip the loop entirely once the last droplet has faded
+            if (alive === 0) live = false;
+
+            geometry.attributes.position.needsUpdate = true;
+            geometry.attributes.alpha.needsUpdate = true;
+            geometry.attributes.size.needsUpdate = true;
+        }
+    };
+}
@@ -0,0 +1,175 @@
+import { createEmitter } from './events.js';
+
+// --- Telemetry ---
+// Stage timings and a leveled, categorised log, both in fixed-size ring buffers so an
+// installation can run for weeks without them growing. Stages are free-form names; main.js
+// records one per detector (inference), plus mask, flow, simulation, render and frame, all
+// in milliseconds. Log entries are { time, level, category, message }. Times are seconds
+// since the page loaded; exports add the wall-clock start so they line up with venue reports.
+//
+// Only the exports know about Blobs; everything else runs under Node.
+//
+// Events: 'log' (entry).
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Keeps the newest `capacity` items
+export function createRingBuffer(capacity) {
+    const items = new Array(capacity);
+    let start = 0;
+    let size = 0;
+
+    return {
+        capacity,
+
+        get size() {
+            return size;
+        },
+
+        push(item) {
+            items[(start + size) % capacity] = item;
+            if (size < capacity) size++;
+            else start = (start + 1) % capacity;
+        },
+
+        // Oldest first
+        toArray() {
+            const out = new Array(size);
+            for (let i = 0; i < size; i++) out[i] = items[(start + i) % capacity];
+            return out;
+        },
+
+        clear() {
+            items.fill(undefined);
+            start = 0;
+            size = 0;
+        }
+    };
+}
+
+// options: { logCapacity, sampleCapacity (per stage), now (seconds) }
+export function createTelemetry({
+    logCapacity = 2000,
+    sampleCapacity = 600,
+    now = () => performance.now() / 1000
+} = {}) {
+    const emitter = createEmitter();
+    const stages = new Map();
+    const logs = createRingBuffer(logCapacity);
+    const categories = new Set();
+    const startedAt = new Date(Date.now() - now() * 1000);
+
+    const telemetry = {
+        on: emitter.on,
+        off: emitter.off,
+        // Bumped on every log entry, so views can tell when to redraw
+        version: 0,
+
+        record(stage, ms) {
+            if (!stages.has(stage)) stages.set(stage, createRingBuffer(sampleCapacity));
+            stages.get(stage).push({ time: now(), value: ms });
+        },
+
+        // Runs fn and records how long it took; returns what fn returns
+        time(stage, fn) {
+            const started = performance.now();
+            try {
+                return fn();
+            } finally {
+                telemetry.record(stage, performance.now() - started);
+            }
+        },
+
+        stageNames() {
+            return [...stages.keys()];
+        },
+
+        // Oldest first: [{ time, value }]
+        samples(stage) {
+            return stages.has(stage) ? stages.get(stage).toArray() : [];
+        },
+
+        // { count, last, mean, p95, max } over the buffered samples, null before the first
+        summary(stage) {
+            const values = telemetry.samples(stage).map(sample => sample.value);
+            if (!values.length) return null;
+            const sorted = [...values].sort((a, b) => a - b);
+            return {
+                count: values.length,
+                last: values[values.length - 1],
+                mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+                p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+                max: sorted[sorted.length - 1]
+            };
+        },
+
+        log(level, category, message) {
+            const entry = { time: now(), level: LOG_LEVELS.includes(level) ? level : 'info', category, message: String(message) };
+            logs.push(entry);
+            categories.add(category);
+            telemetry.version++;
+            emitter.emit('log', entry);
+            return entry;
+        },
+
+        // Oldest first. filter: { level (minimum), category, text (case-insensitive substring) }
+        entries({ level = 'debug', category = '', text = '' } = {}) {
+            const minimum = Math.max(0, LOG_LEVELS.indexOf(level));
+            const needle = text.toLowerCase();
+            return logs.toArray().filter(entry =>
+                LOG_LEVELS.indexOf(entry.level) >= minimum &&
+                (!category || entry.category === category) &&
+                (!needle || entry.message.toLowerCase().includes(needle)));
+        },
+
+        categories() {
+            return [...categories].sort();
+        },
+
+        clear() {
+            stages.forEach(buffer => buffer.clear());
+            logs.clear();
+            telemetry.version++;
+        },
+
+        // Everything buffered, plus whatever the caller wants attached (config, status...)
+        toJSON(meta = {}) {
+            const stageData = {};
+            stages.forEach((buffer, name) => {
+                stageData[name] = { summary: telemetry.summary(name), samples: buffer.toArray() };
+            });
+            return {
+                startedAt: startedAt.toISOString(),
+                exportedAt: new Date().toISOString(),
+                meta,
+                stages: stageData,
+                logs: logs.toArray()
+            };
+        },
+
+        // One row per sample and log entry, in time order
+        toCSV() {
+            const rows = [];
+            stages.forEach((buffer, name) => {
+                buffer.toArray().forEach(sample => rows.push([sample.time, 'sample', name, '', sample.value, '']));
+            });
+            logs.toArray().forEach(entry => rows.push([entry.time, 'log', entry.category, entry.level, '', entry.message]));
+            rows.sort((a, b) => a[0] - b[0]);
+            const lines = rows.map(([time, ...rest]) => [time.toFixed(3), ...rest].map(csvField).join(','));
+            return ['time,kind,name,level,value,message', ...lines].join('\n');
+        },
+
+        exportBlob(format, meta) {
+            return format === 'csv'
+                ? new Blob([telemetry.toCSV()], { type: 'text/csv' })
+                : new Blob([JSON.stringify(telemetry.toJSON(meta), null, 2)], { type: 'application/json' });
+        }
+    };
+
+    return telemetry;
+}
+
+function csvField(value) {
+    const text = typeof value === 'number' ? String(Math.round(value * 1000) / 1000) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
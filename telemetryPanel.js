@@ -0,0 +1,159 @@
+import { LOG_LEVELS } from './telemetry.js';
+
+// --- Telemetry Panel ---
+// In-app view of a telemetry (telemetry.js): a graph per stage over the buffered samples,
+// the log with level, category and text filters, and JSON / CSV export. It only redraws
+// while it's shown, a few times a second, and never holds more rows than MAX_ROWS.
+
+const REFRESH_INTERVAL = 250;  // ms
+const MAX_ROWS = 200;  // newest log entries shown after filtering
+const GRAPH_WIDTH = 240;
+const GRAPH_HEIGHT = 28;
+const LEVEL_COLORS = { debug: '#9aa', info: '#fff', warn: '#fc6', error: '#f66' };
+
+// onExport(format) is called with 'json' or 'csv'
+export function createTelemetryPanel(telemetry, { parent = document.body, onExport } = {}) {
+    const element = document.createElement('div');
+    element.id = 'telemetry-panel';
+
+    const controls = document.createElement('div');
+    controls.className = 'telemetry-controls';
+    const levelSelect = createSelect(LOG_LEVELS.map(level => [level, `${level}+`]));
+    levelSelect.value = 'info';
+    const categorySelect = createSelect([['', 'all']]);
+    const search = document.createElement('input');
+    search.type = 'search';
+    search.placeholder = 'filter';
+    controls.append(
+        levelSelect, categorySelect, search,
+        createButton('JSON', () => onExport && onExport('json')),
+        createButton('CSV', () => onExport && onExport('csv')),
+        createButton('Clear', () => telemetry.clear())
+    );
+
+    const graphs = document.createElement('div');
+    graphs.className = 'telemetry-graphs';
+    const list = document.createElement('div');
+    list.className = 'telemetry-log';
+    element.append(controls, graphs, list);
+    parent.appendChild(element);
+
+    const graphRows = new Map();
+    let timer = null;
+    let drawnKey = null;
+
+    [levelSelect, categorySelect, search].forEach(input => input.addEventListener('input', () => {
+        drawnKey = null;
+        refresh();
+    }));
+
+    function refresh() {
+        drawGraphs();
+        drawLog();
+    }
+
+    function drawGraphs() {
+        telemetry.stageNames().forEach(name => {
+            if (!graphRows.has(name)) graphRows.set(name, createGraphRow(graphs, name));
+            const row = graphRows.get(name);
+            const summary = telemetry.summary(name);
+            row.label.textContent = summary
+                ? `${name} ${summary.last.toFixed(1)} ms (avg ${summary.mean.toFixed(1)}, p95 ${summary.p95.toFixed(1)})`
+                : name;
+            drawSparkline(row.canvas, telemetry.samples(name), summary);
+        });
+    }
+
+    function drawLog() {
+        const categories = telemetry.categories();
+        if (categorySelect.options.length !== categories.length + 1) {
+            const selected = categorySelect.value;
+            categorySelect.replaceChildren(...createSelect([['', 'all'], ...categories.map(c => [c, c])]).options);
+            categorySelect.value = selected;
+        }
+
+        const filter = { level: levelSelect.value, category: categorySelect.value, text: search.value };
+        const key = `${telemetry.version}|${filter.level}|${filter.category}|${filter.text}`;
+        if (key === drawnKey) return;
+        drawnKey = key;
+
+        const entries = telemetry.entries(filter).slice(-MAX_ROWS);
+        list.replaceChildren(...entries.map(entry => {
+            const row = document.createElement('div');
+            row.style.color = LEVEL_COLORS[entry.level];
+            row.textContent = `${entry.time.toFixed(1).padStart(7)} ${entry.level.padEnd(5)} [${entry.category}] ${entry.message}`;
+            return row;
+        }));
+        list.scrollTop = list.scrollHeight;
+    }
+
+    return {
+        element,
+
+        show(visible) {
+            element.style.display = visible ? 'flex' : 'none';
+            clearInterval(timer);
+            timer = null;
+            if (!visible) return;
+            drawnKey = null;
+            refresh();
+            timer = setInterval(refresh, REFRESH_INTERVAL);
+        }
+    };
+}
+
+function createGraphRow(parent, name) {
+    const row = document.createElement('div');
+    const label = document.createElement('div');
+    label.textContent = name;
+    const canvas = document.createElement('canvas');
+    canvas.width = GRAPH_WIDTH;
+    canvas.height = GRAPH_HEIGHT;
+    row.append(label, canvas);
+    parent.appendChild(row);
+    return { label, canvas };
+}
+
+// Samples left to right, scaled to the largest; the dashed line is the mean
+function drawSparkline(canvas, samples, summary) {
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!summary || samples.length < 2) return;
+    const top = Math.max(summary.max, 1e-3);
+    const y = value => canvas.height - 1 - (value / top) * (canvas.height - 2);
+
+    ctx.strokeStyle = '#6cf';
+    ctx.beginPath();
+    samples.forEach((sample, i) => {
+        const x = (i / (samples.length - 1)) * canvas.width;
+        if (i === 0) ctx.moveTo(x, y(sample.value));
+        else ctx.lineTo(x, y(sample.value));
+    });
+    ctx.stroke();
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(0, y(summary.mean));
+    ctx.lineTo(canvas.width, y(summary.mean));
+    ctx.stroke();
+    ctx.setLineDash([]);
+}
+
+function createSelect(options) {
+    const select = document.createElement('select');
+    options.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    return select;
+}
+
+function createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
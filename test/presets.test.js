@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyConfig, parseConfigParams, snapshotConfig } from '../presets.js';
+
+function createConfig() {
+    return {
+        bubbleCount: 300,
+        cokeRed: 0xcc0000,
+        kioskMode: false,
+        inputSource: 'webcam',
+        mapping: { scale: 1, fit: 'cover' },
+        personStyles: [{ color: '#ff0000' }, { color: '#00ff00' }]
+    };
+}
+
+test('applyConfig copies matching values and reports their paths', () => {
+    const config = createConfig();
+    const changed = applyConfig(config, { bubbleCount: 500, mapping: { scale: 2 }, personStyles: [{}, { color: '#0000ff' }] });
+    assert.deepEqual(changed, ['bubbleCount', 'mapping.scale', 'personStyles.1.color']);
+    assert.equal(config.bubbleCount, 500);
+    assert.equal(config.mapping.fit, 'cover');
+    assert.equal(config.personStyles[0].color, '#ff0000');
+});
+
+test('applyConfig skips unknown keys, wrong types, non-finite numbers and runtime state', () => {
+    const config = createConfig();
+    const changed = applyConfig(config, {
+        junk: 1,
+        bubbleCount: '500',
+        cokeRed: NaN,
+        kioskMode: 1,
+        inputSource: 'video',
+        mapping: 'stretch'
+    });
+    assert.deepEqual(changed, []);
+    assert.deepEqual(config, createConfig());
+});
+
+test('snapshotConfig leaves out runtime state and copies deeply', () => {
+    const config = createConfig();
+    const snapshot = snapshotConfig(config);
+    assert.equal(snapshot.inputSource, undefined);
+    snapshot.mapping.scale = 3;
+    assert.equal(config.mapping.scale, 1);
+});
+
+test('URL overrides are parsed to the type of the current value', () => {
+    const overrides = parseConfigParams('?bubbleCount=500&cokeRed=%23112233&kioskMode=1&mapping.scale=2&personStyles.1.color=%23ffcc00&nope=1&bubbleCount2=3', createConfig());
+    assert.deepEqual(overrides, {
+        bubbleCount: 500,
+        cokeRed: 0x112233,
+        kioskMode: true,
+        mapping: { scale: 2 },
+        // Only the overridden entry; the others stay holes
+        personStyles: [, { color: '#ffcc00' }]
+    });
+});
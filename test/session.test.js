@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSessionRecorder, createSessionPlayer, isSession, SESSION_VERSION } from '../session.js';
+
+// Records the given [type, result] pairs and returns the session after a JSON round trip
+function record(entries) {
+    const recorder = createSessionRecorder();
+    recorder.start(64, 48);
+    entries.forEach(([type, result]) => recorder.record(type, result));
+    return JSON.parse(JSON.stringify(recorder.stop()));
+}
+
+function replay(session) {
+    const results = [];
+    const handlers = {};
+    ['pose', 'hands', 'mask', 'depth', 'flow'].forEach(type => {
+        handlers[type] = result => results.push([type, result]);
+    });
+    createSessionPlayer(session, handlers, { loop: false }).advanceTo(Infinity);
+    return results;
+}
+
+test('masks survive run-length encoding and base64', () => {
+    const width = 300;
+    const height = 200;
+    const data = new Uint8ClampedArray(width * height * 4);
+    // Long runs (past one LEB128 byte) and single pixels
+    for (let i = 0; i < width * height; i++) data[i * 4 + 3] = i < 40000 ? 255 : i % 7 === 0 ? 128 : 0;
+    const [[type, result]] = replay(record([['mask', { mask: { data, width, height } }]]));
+
+    assert.equal(type, 'mask');
+    assert.equal(result.mask.width, width);
+    assert.equal(result.mask.height, height);
+    for (let i = 0; i < width * height; i++) {
+        if (result.mask.data[i * 4 + 3] !== data[i * 4 + 3]) assert.fail(`alpha differs at pixel ${i}`);
+    }
+});
+
+test('depth keeps its first channel as grey', () => {
+    const data = new Uint8ClampedArray([0, 9, 9, 9, 128, 9, 9, 9, 255, 9, 9, 9]);
+    const [[, result]] = replay(record([['depth', { depth: { data, width: 3, height: 1 } }]]));
+    assert.deepEqual(Array.from(result.depth.data), [0, 0, 0, 255, 128, 128, 128, 255, 255, 255, 255, 255]);
+});
+
+test('flow comes back within one quantisation step', () => {
+    const u = Float32Array.from([0.1, -0.35, 0, 0.2]);
+    const v = Float32Array.from([0, 0.05, -0.1, 0.3]);
+    const [[, result]] = replay(record([['flow', { flow: { width: 2, height: 2, u, v } }]]));
+    const step = 0.35 / 127;
+    assert.equal(result.flow.width, 2);
+    u.forEach((value, i) => assert.ok(Math.abs(result.flow.u[i] - value) <= step));
+    v.forEach((value, i) => assert.ok(Math.abs(result.flow.v[i] - value) <= step));
+});
+
+test('poses and hands keep their keypoints', () => {
+    const poses = [{ id: 1, keypoints: [{ x: 10.04, y: 20, confidence: 0.9 }] }];
+    const hands = [{ handedness: 'Left', confidence: 0.8, keypoints: [{ x: 1, y: 2 }] }];
+    const results = replay(record([['pose', poses], ['hands', hands]]));
+    assert.deepEqual(results, [
+        ['pose', [{ id: 1, keypoints: [{ x: 10, y: 20, confidence: 0.9 }] }]],
+        ['hands', [{ handedness: 'Left', confidence: 0.8, keypoints: [{ x: 1, y: 2 }] }]]
+    ]);
+});
+
+test('only recorded sessions are recognised', () => {
+    assert.ok(isSession({ version: SESSION_VERSION, events: [] }));
+    assert.ok(!isSession({ version: 1, config: {} }));
+    assert.ok(!isSession(null));
+    assert.throws(() => createSessionPlayer({ bubbleCount: 10 }, {}));
+});
+
+test('a looping player replays every event on each pass', () => {
+    const session = { version: SESSION_VERSION, duration: 1, events: [{ t: 0.5, type: 'pose', poses: [] }, { t: 1, type: 'pose', poses: [] }] };
+    let count = 0;
+    const player = createSessionPlayer(session, { pose: () => count++ });
+    [[0.75, 1], [1.25, 2], [1.6, 3], [2.1, 4], [2.5, 5]].forEach(([time, expected]) => {
+        player.advanceTo(time);
+        assert.equal(count, expected, `at ${time}s`);
+    });
+});
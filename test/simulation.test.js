@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation, createRng } from '../simulation.js';
+
+function createConfig(overrides = {}) {
+    return {
+        bubbleCount: 50,
+        bubbleSpeed: 0.05,
+        bubbleSize: 0.3,
+        bubbleLifespan: 4,
+        interactionRadius: 3,
+        spawnOnBody: false,
+        invertMask: true,
+        spawnWeighting: 'uniform',
+        spawnEdgeFalloff: 0.05,
+        obstacleMode: false,
+        personStylesEnabled: false,
+        personStyles: [],
+        popOnTouch: false,
+        popOnExpire: false,
+        depthPlacement: false,
+        physicsMode: false,
+        flowStrength: 0,
+        ambientStrength: 1,
+        handsEnabled: false,
+        ...overrides
+    };
+}
+
+function run(seed, steps) {
+    const sim = createSimulation({ config: createConfig(), seed, width: 40, height: 30 });
+    sim.reset();
+    for (let i = 0; i < steps; i++) sim.step(1 / 60);
+    return sim.bubbles.map(bubble => [bubble.position.x, bubble.position.y, bubble.position.z, bubble.scale, bubble.opacity]);
+}
+
+test('the RNG repeats for a seed and differs between seeds', () => {
+    const a = createRng(7);
+    const b = createRng(7);
+    const c = createRng(8);
+    const first = Array.from({ length: 5 }, a);
+    assert.deepEqual(Array.from({ length: 5 }, b), first);
+    assert.notDeepEqual(Array.from({ length: 5 }, c), first);
+    first.forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+test('the same seed and inputs give the same bubbles', () => {
+    assert.deepEqual(run(42, 300), run(42, 300));
+    assert.notDeepEqual(run(42, 300), run(43, 300));
+});
+
+test('reset with a seed restarts the clock and the RNG', () => {
+    const sim = createSimulation({ config: createConfig(), seed: 3, width: 40, height: 30 });
+    sim.reset(3);
+    const before = sim.bubbles.map(bubble => bubble.position.x);
+    for (let i = 0; i < 60; i++) sim.step(1 / 60);
+    sim.reset(3);
+    assert.equal(sim.time, 0);
+    assert.deepEqual(sim.bubbles.map(bubble => bubble.position.x), before);
+});
+
+test('bubbles fade out over the last fifth of their life and then respawn', () => {
+    const config = createConfig({ bubbleCount: 1, bubbleSpeed: 0, ambientStrength: 0, bubbleLifespan: 2 });
+    const sim = createSimulation({ config, width: 40, height: 30 });
+    sim.reset();
+    const bubble = sim.bubbles[0];
+    bubble.position.y = 0;
+    bubble.birthTime = 0;
+    bubble.lifespanMultiplier = 1;
+
+    const step = 0.05;
+    while (sim.time < 1.5 - 1e-9) sim.step(step);
+    assert.equal(bubble.opacity, 1);
+
+    while (sim.time < 1.8 - 1e-9) sim.step(step);
+    assert.ok(Math.abs(bubble.opacity - 0.5) < 0.01, `opacity ${bubble.opacity}`);
+
+    const spawns = sim.stats.spawns;
+    while (sim.time < 2.1 - 1e-9) sim.step(step);
+    assert.equal(sim.stats.spawns, spawns + 1);
+    assert.equal(bubble.opacity, 1);
+    assert.ok(sim.time - bubble.birthTime < 0.2);
+    // Without a mask, respawns start below the bottom edge
+    assert.equal(bubble.position.y, -sim.height / 2 - 5);
+});
+
+test('popOnExpire queues a pop for each expired bubble', () => {
+    const config = createConfig({ bubbleCount: 1, bubbleSpeed: 0, ambientStrength: 0, bubbleLifespan: 1, popOnExpire: true });
+    const sim = createSimulation({ config, width: 40, height: 30 });
+    sim.reset();
+    sim.bubbles[0].position.y = 0;
+    sim.bubbles[0].birthTime = 0;
+    sim.bubbles[0].lifespanMultiplier = 1;
+    while (sim.time < 1.2) sim.step(0.05);
+    assert.equal(sim.pops.length, 1);
+    assert.equal(sim.stats.pops, 1);
+});
+
+test('a keypoint pushes nearby bubbles away and enlarges them', () => {
+    const config = createConfig({ bubbleCount: 1, bubbleSpeed: 0, ambientStrength: 0, bubbleLifespan: 0 });
+    const sim = createSimulation({ config, width: 40, height: 30 });
+    sim.reset();
+    const keypoints = Array.from({ length: 17 }, () => ({ x: 0, y: 0, confidence: 0 }));
+    keypoints[9] = { x: 320, y: 240, confidence: 0.9 };
+    sim.setInputs({ poses: [{ keypoints }], sourceWidth: 640, sourceHeight: 480 });
+
+    const [point] = sim.getInteractionPoints();
+    assert.ok(point);
+    const bubble = sim.bubbles[0];
+    bubble.position.x = point.x + 1;
+    bubble.position.y = point.y;
+    sim.step(1 / 60);
+
+    assert.ok(bubble.position.x > point.x + 1);
+    assert.ok(Math.abs(bubble.position.y - point.y) < 1e-6);
+    assert.ok(bubble.scale > bubble.initialScale);
+});
+
+test('low-confidence keypoints are ignored', () => {
+    const sim = createSimulation({ config: createConfig(), width: 40, height: 30 });
+    const keypoints = Array.from({ length: 17 }, () => ({ x: 320, y: 240, confidence: 0.1 }));
+    sim.setInputs({ poses: [{ keypoints }], sourceWidth: 640, sourceHeight: 480 });
+    assert.deepEqual(sim.getInteractionPoints(), []);
+});
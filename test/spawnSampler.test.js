@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSpawnSampler, SPAWN_WEIGHTINGS } from '../spawnSampler.js';
+import { createRng } from '../simulation.js';
+
+// Person (alpha 255) on a one pixel wide column and a single pixel, nothing else
+function createMask(width = 64, height = 48) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) data[(y * width + 13) * 4 + 3] = 255;
+    data[(40 * width + 50) * 4 + 3] = 255;
+    return { data, width, height };
+}
+
+function isValid(mask, { u, v }, invert) {
+    const x = Math.floor(u * mask.width);
+    const y = Math.floor(v * mask.height);
+    const alpha = mask.data[(y * mask.width + x) * 4 + 3];
+    return (invert ? 255 - alpha : alpha) > 127;
+}
+
+SPAWN_WEIGHTINGS.forEach(weighting => {
+    test(`${weighting} samples only land on valid pixels`, () => {
+        const mask = createMask();
+        const depth = { data: new Uint8ClampedArray(mask.width * mask.height * 4).fill(100), width: mask.width, height: mask.height };
+        const sampler = createSpawnSampler(mask, { weighting, depth, stride: 4 });
+        const random = createRng(5);
+        assert.ok(sampler.count > 0);
+        for (let i = 0; i < 2000; i++) {
+            const point = sampler.sample(random);
+            assert.ok(isValid(mask, point, false), `sample ${i} at ${point.u}, ${point.v}`);
+        }
+    });
+});
+
+test('invert samples the other side of the mask', () => {
+    const mask = createMask();
+    const sampler = createSpawnSampler(mask, { invert: true });
+    const random = createRng(9);
+    for (let i = 0; i < 2000; i++) assert.ok(isValid(mask, sampler.sample(random), true));
+});
+
+test('uniform weighting treats every valid pixel alike', () => {
+    const mask = createMask();
+    const sampler = createSpawnSampler(mask, { stride: 8 });
+    const random = createRng(1);
+    let single = 0;
+    const total = 49000;
+    for (let i = 0; i < total; i++) {
+        const { u, v } = sampler.sample(random);
+        if (Math.floor(u * mask.width) === 50 && Math.floor(v * mask.height) === 40) single++;
+    }
+    // 49 valid pixels, so the lone one gets about a 49th
+    assert.ok(Math.abs(single - total / 49) < 200, `${single}`);
+});
+
+test('an empty mask gives no samples', () => {
+    const mask = { data: new Uint8ClampedArray(16 * 16 * 4), width: 16, height: 16 };
+    const sampler = createSpawnSampler(mask);
+    assert.equal(sampler.count, 0);
+    assert.equal(sampler.sample(createRng(1)), null);
+});